@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const { fork } = require('child_process');
+const { Worker } = require('worker_threads');
 const i18nGenerator = require('../src/i18n-generator');
 const i18nGeneratorOptimized = require('../src/i18n-generator-optimized');
 
@@ -7,6 +9,29 @@ const i18nGeneratorOptimized = require('../src/i18n-generator-optimized');
  * Benchmark comparison between original and optimized versions
  */
 
+/**
+ * Optimized generator that starts a new worker for every large file
+ * (the behavior before the worker pool), to compare with the pool
+ */
+class WorkerPerFileGenerator extends i18nGeneratorOptimized {
+	runWorker(task) {
+		return new Promise((resolve, reject) => {
+			const worker = new Worker(path.join(__dirname, '../src/worker.js'));
+
+			worker.once('message', ({ result, error }) => {
+				worker.terminate();
+				if (error) {
+					reject(new Error(error.message));
+				} else {
+					resolve(result);
+				}
+			});
+			worker.once('error', reject);
+			worker.postMessage({ id: 0, data: task });
+		});
+	}
+}
+
 // Generate large test file
 function generateLargeTestFile(outputPath, numKeys = 10000, depth = 5) {
 	console.log(`Generating test file with ~${numKeys} keys and depth ${depth}...`);
@@ -52,30 +77,77 @@ function generateLargeTestFile(outputPath, numKeys = 10000, depth = 5) {
 	return { sizeKB, lines };
 }
 
-async function runBenchmark(name, GeneratorClass, options) {
+const GENERATORS = {
+	original: i18nGenerator,
+	optimized: i18nGeneratorOptimized,
+	workerPerFile: WorkerPerFileGenerator
+};
+
+/**
+ * Run one generator in a child process (see measure), so that its peak RSS,
+ * worker threads included, is not mixed with the other runs
+ */
+function runBenchmark(name, generatorName, options) {
 	console.log(`\n${'='.repeat(60)}`);
 	console.log(`🏃 Running: ${name}`);
 	console.log('='.repeat(60));
 
-	const generator = new GeneratorClass(options);
+	return new Promise((resolve, reject) => {
+		const child = fork(__filename, ['--measure']);
+		let result = null;
+
+		child.on('message', (message) => {
+			result = message;
+		});
+		child.on('error', reject);
+		child.on('exit', (code) => {
+			if (!result) {
+				reject(new Error(`${name} failed with exit code ${code}`));
+				return;
+			}
+
+			console.log(`\n📊 Results for ${name}:`);
+			console.log(`   Duration: ${result.duration.toFixed(2)}s`);
+			console.log(`   Memory: ${result.memUsed.toFixed(2)} MB`);
+			console.log(`   Peak memory: ${result.peakMem.toFixed(2)} MB`);
+			console.log(`   Peak RSS: ${result.peakRss.toFixed(2)} MB`);
+
+			resolve(result);
+		});
+
+		child.send({ generatorName, options });
+	});
+}
+
+/**
+ * Child process side of runBenchmark
+ */
+async function measure({ generatorName, options }) {
+	const generator = new GENERATORS[generatorName](options);
 
 	const startTime = Date.now();
 	const startMem = process.memoryUsage();
 
-	await generator.run();
+	if (generator.run) {
+		await generator.run();
+	} else {
+		generator.generateAll();
+	}
 
 	const endTime = Date.now();
 	const endMem = process.memoryUsage();
 
-	const duration = (endTime - startTime) / 1000;
-	const memUsed = (endMem.heapUsed - startMem.heapUsed) / 1024 / 1024;
-
-	console.log(`\n📊 Results for ${name}:`);
-	console.log(`   Duration: ${duration.toFixed(2)}s`);
-	console.log(`   Memory: ${memUsed.toFixed(2)} MB`);
-	console.log(`   Peak memory: ${(endMem.heapUsed / 1024 / 1024).toFixed(2)} MB`);
+	if (generator.close) {
+		await generator.close();
+	}
 
-	return { duration, memUsed, peakMem: endMem.heapUsed / 1024 / 1024 };
+	return {
+		duration: (endTime - startTime) / 1000,
+		memUsed: (endMem.heapUsed - startMem.heapUsed) / 1024 / 1024,
+		peakMem: endMem.heapUsed / 1024 / 1024,
+		// maxRSS is in kilobytes
+		peakRss: process.resourceUsage().maxRSS / 1024
+	};
 }
 
 async function main() {
@@ -120,13 +192,15 @@ async function main() {
 		const options = {
 			languages,
 			inputDir,
-			outputDir: path.join(outputDir, scenario.name.replace(/\s+/g, '-').toLowerCase())
+			outputDir: path.join(outputDir, scenario.name.replace(/\s+/g, '-').toLowerCase()),
+			// Measure full runs, not cache hits
+			cache: false
 		};
 
 		// Original version
 		const originalResult = await runBenchmark(
 			'Original (Recursive)',
-			i18nGenerator,
+			'original',
 			options
 		);
 
@@ -138,7 +212,7 @@ async function main() {
 		// Optimized version - without workers
 		const optimizedNoWorkersResult = await runBenchmark(
 			'Optimized (No Workers)',
-			i18nGeneratorOptimized,
+			'optimized',
 			{ ...options, useWorkers: false }
 		);
 
@@ -147,17 +221,43 @@ async function main() {
 			fs.rmSync(options.outputDir, { recursive: true });
 		}
 
-		// Optimized version - with workers
+		// Optimized version - a new worker per file
+		const workerPerFileResult = await runBenchmark(
+			'Optimized (Worker Per File)',
+			'workerPerFile',
+			{ ...options, useWorkers: true }
+		);
+
+		// Clean output for next test
+		if (fs.existsSync(options.outputDir)) {
+			fs.rmSync(options.outputDir, { recursive: true });
+		}
+
+		// Optimized version - with the worker pool
 		const optimizedWithWorkersResult = await runBenchmark(
-			'Optimized (With Workers)',
-			i18nGeneratorOptimized,
+			'Optimized (Worker Pool)',
+			'optimized',
 			{ ...options, useWorkers: true }
 		);
 
+		// Clean output for next test
+		if (fs.existsSync(options.outputDir)) {
+			fs.rmSync(options.outputDir, { recursive: true });
+		}
+
+		// Optimized version - every file streamed, whatever its size
+		const streamingResult = await runBenchmark(
+			'Optimized (Streaming)',
+			'optimized',
+			{ ...options, useWorkers: false, streamingThreshold: 0 }
+		);
+
 		results[scenario.name] = {
 			original: originalResult,
 			optimizedNoWorkers: optimizedNoWorkersResult,
-			optimizedWithWorkers: optimizedWithWorkersResult
+			workerPerFile: workerPerFileResult,
+			optimizedWithWorkers: optimizedWithWorkersResult,
+			streaming: streamingResult
 		};
 	}
 
@@ -170,22 +270,46 @@ async function main() {
 		console.log(`\n${scenarioName}:`);
 
 		const speedupNoWorkers = (result.original.duration / result.optimizedNoWorkers.duration).toFixed(2);
+		const speedupWorkerPerFile = (result.original.duration / result.workerPerFile.duration).toFixed(2);
 		const speedupWorkers = (result.original.duration / result.optimizedWithWorkers.duration).toFixed(2);
+		const speedupPool = (result.workerPerFile.duration / result.optimizedWithWorkers.duration).toFixed(2);
 		const memSavingNoWorkers = ((1 - result.optimizedNoWorkers.memUsed / result.original.memUsed) * 100).toFixed(1);
+		const memSavingWorkerPerFile = ((1 - result.workerPerFile.memUsed / result.original.memUsed) * 100).toFixed(1);
 		const memSavingWorkers = ((1 - result.optimizedWithWorkers.memUsed / result.original.memUsed) * 100).toFixed(1);
+		const speedupStreaming = (result.original.duration / result.streaming.duration).toFixed(2);
+		const rssSavingStreaming = ((1 - result.streaming.peakRss / result.original.peakRss) * 100).toFixed(1);
+		const rss = ({ peakRss }) => `Peak RSS: ${peakRss.toFixed(2)} MB`;
 
 		console.log('  Original:');
-		console.log(`    Time: ${result.original.duration.toFixed(2)}s | Memory: ${result.original.memUsed.toFixed(2)} MB`);
+		console.log(`    Time: ${result.original.duration.toFixed(2)}s | Memory: ${result.original.memUsed.toFixed(2)} MB | ${rss(result.original)}`);
 
 		console.log('  Optimized (No Workers):');
-		console.log(`    Time: ${result.optimizedNoWorkers.duration.toFixed(2)}s (${speedupNoWorkers}x faster) | Memory: ${result.optimizedNoWorkers.memUsed.toFixed(2)} MB (${memSavingNoWorkers}% less)`);
+		console.log(`    Time: ${result.optimizedNoWorkers.duration.toFixed(2)}s (${speedupNoWorkers}x faster) | Memory: ${result.optimizedNoWorkers.memUsed.toFixed(2)} MB (${memSavingNoWorkers}% less) | ${rss(result.optimizedNoWorkers)}`);
+
+		console.log('  Optimized (Worker Per File):');
+		console.log(`    Time: ${result.workerPerFile.duration.toFixed(2)}s (${speedupWorkerPerFile}x faster) | Memory: ${result.workerPerFile.memUsed.toFixed(2)} MB (${memSavingWorkerPerFile}% less) | ${rss(result.workerPerFile)}`);
 
-		console.log('  Optimized (With Workers):');
-		console.log(`    Time: ${result.optimizedWithWorkers.duration.toFixed(2)}s (${speedupWorkers}x faster) | Memory: ${result.optimizedWithWorkers.memUsed.toFixed(2)} MB (${memSavingWorkers}% less)`);
+		console.log('  Optimized (Worker Pool):');
+		console.log(`    Time: ${result.optimizedWithWorkers.duration.toFixed(2)}s (${speedupWorkers}x faster, ${speedupPool}x vs worker per file) | Memory: ${result.optimizedWithWorkers.memUsed.toFixed(2)} MB (${memSavingWorkers}% less) | ${rss(result.optimizedWithWorkers)}`);
+
+		console.log('  Optimized (Streaming):');
+		console.log(`    Time: ${result.streaming.duration.toFixed(2)}s (${speedupStreaming}x faster) | ${rss(result.streaming)} (${rssSavingStreaming}% less)`);
 	}
 
 	console.log('\n' + '='.repeat(80));
 	console.log('✅ Benchmark complete!\n');
 }
 
-main().catch(console.error);
+if (process.argv.includes('--measure')) {
+	process.once('message', (task) => {
+		measure(task)
+			.then((result) => process.send(result, () => process.disconnect()))
+			.catch((error) => {
+				console.error(error);
+				process.exitCode = 1;
+				process.disconnect();
+			});
+	});
+} else {
+	main().catch(console.error);
+}
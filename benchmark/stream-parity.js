@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildSource, resolveOptions } = require('../src/core');
+const { streamSource } = require('../src/stream-source');
+
+/**
+ * Parity check between streamed and plain generation
+ * Every source below is built with buildSource (JSON.parse) and streamed with
+ * streamSource (see src/stream-source.js); outputs, key counts, missing keys,
+ * placeholder mismatches and unsupported plural forms must be identical.
+ * Invalid sources must fail in both with a SourceParseError.
+ *
+ *   node benchmark/stream-parity.js
+ */
+
+const SOURCES = {
+	'basic.json': {
+		title: { vi: 'Tiêu đề', en: 'Title', ja: 'タイトル' },
+		nested: { deep: { text: { vi: 'Chào {{name}}', en: 'Hello {{name}}', ja: 'こんにちは' } } },
+		empty: {},
+		brand: 'Acme',
+		sizes: ['S', 'M'],
+		'dot.key': { vi: 'Chấm', en: 'Dot' },
+	},
+	// Language keys after a nested object: a leaf for JSON.parse, nested keys dropped
+	'mixed-leaf.json': {
+		save: { label: { vi: 'Lưu', en: 'Save' }, en: 'Save all', vi: 'Lưu hết' },
+		other: { group: { child: { en: 'Child' } }, extra: 'kept', en: 'Late' },
+		branch: { a: { en: 'A', vi: 'A' }, b: { en: 'B', vi: 'B' } },
+	},
+	// Integer-like keys come first with JSON.parse (written as text: JSON.stringify would move them)
+	'integer-keys.json': `{
+		"errors": { "title": { "en": "Errors" }, "404": { "en": "Not found" }, "500": { "en": "Server" }, "10": { "en": "Ten" } },
+		"list": { "b": "b", "2": "two", "a": "a", "1": "one" },
+		"leaf": { "_note": "note", "1": "x", "en": "Leaf", "vi": "Lá" },
+		"404": { "en": "Root" }
+	}`,
+	// Duplicate keys: JSON.parse keeps the first position and the last value
+	'duplicate-keys.json': '{ "a": { "en": "A1" }, "b": "b", "a": { "en": "A2", "vi": "A2" } }',
+	'plurals.json': {
+		item: {
+			en: { '=0': 'No items', one: '{{count}} item', other: '{{count}} items' },
+			vi: { other: '{{count}} mục' },
+		},
+		friend: {
+			_select: 'gender',
+			en: { male: { '=1': 'He alone', other: 'He' }, other: 'They' },
+			vi: { other: 'Bạn' },
+		},
+		values: { en: 3, vi: [1, 2], ja: false },
+	},
+};
+
+// Sources both generators reject
+const INVALID_SOURCES = {
+	'root-array.json': '[{ "en": "A" }, { "en": "B" }]',
+	'root-value.json': '"text"',
+	'prototype-word.json': '{ "a": { "en": constructor } }',
+};
+
+const CONFIGS = [
+	{ languages: ['vi', 'en', 'ja'], fallbackLanguage: 'en' },
+	{ languages: ['en', 'vi'], outputFormat: 'icu', pseudoLanguages: true },
+	{ languages: ['en', 'vi', 'ja'], validatePlaceholders: false, fallbackLanguage: { vi: ['en'] } },
+];
+
+async function main() {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-stream-parity-'));
+	const inputDir = path.join(dir, 'input');
+	let failures = 0;
+
+	fs.mkdirSync(inputDir);
+	Object.entries({ ...SOURCES, ...INVALID_SOURCES }).forEach(([file, content]) => {
+		const text = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+		fs.writeFileSync(path.join(inputDir, file), text);
+	});
+
+	for (const [index, config] of CONFIGS.entries()) {
+		const options = resolveOptions({ ...config, outputDir: path.join(dir, `output-${index}`) });
+
+		for (const inputFile of fs.readdirSync(inputDir)) {
+			const source = { filePath: path.join(inputDir, inputFile), inputFile };
+
+			if (INVALID_SOURCES[inputFile]) {
+				const errors = [
+					await Promise.resolve()
+						.then(() => buildSource(options, source))
+						.catch((error) => error),
+					await streamSource(options, source).catch((error) => error),
+				];
+
+				if (!errors.every((error) => error && error.name === 'SourceParseError')) {
+					failures += 1;
+					console.error(`❌ Config ${index + 1}, ${inputFile}: not rejected by both (${errors.join(' / ')})`);
+				}
+				continue;
+			}
+
+			const plain = buildSource(options, source);
+			const streamed = await streamSource(options, source);
+
+			plain.forEach((expected, i) => {
+				const actual = streamed[i];
+				const content = fs.readFileSync(path.join(options.outputDir, actual.file), 'utf-8');
+				const differences = ['keys', 'missing', 'mismatches', 'unsupported'].filter(
+					(field) => JSON.stringify(expected[field]) !== JSON.stringify(actual[field])
+				);
+
+				if (content !== expected.content) {
+					differences.unshift('content');
+				}
+				if (differences.length > 0) {
+					failures += 1;
+					console.error(`❌ Config ${index + 1}, ${expected.file}: ${differences.join(', ')} differ`);
+				}
+			});
+		}
+	}
+
+	fs.rmSync(dir, { recursive: true, force: true });
+
+	if (failures > 0) {
+		console.error(`\n${failures} streamed outputs differ from the plain ones`);
+		process.exitCode = 1;
+	} else {
+		console.log('✅ Streamed and plain outputs are identical');
+	}
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exitCode = 1;
+});
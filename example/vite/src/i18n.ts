@@ -24,4 +24,13 @@ i18n
 		},
 	});
 
+// Reload a namespace in place when i18nGeneratorVite regenerates it
+if (import.meta.hot) {
+	import.meta.hot.on('i18n-generator:update', ({ namespace }: { namespace: string }) => {
+		i18n.reloadResources(undefined, [namespace]).then(() => {
+			i18n.changeLanguage(i18n.language);
+		});
+	});
+}
+
 export default i18n;
@@ -1,9 +1,10 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { i18nGeneratorVite } from '@mg/i18n-generator';
+import i18nConfig from './i18n.config.js';
 
-// No i18n plugin needed! Use CLI instead
 export default defineConfig({
-	plugins: [react()],
+	plugins: [react(), i18nGeneratorVite(i18nConfig)],
 	server: {
 		port: 3001,
 	},
@@ -31,6 +31,7 @@ module.exports = {
 			languages: ['vi', 'en', 'zh', 'ja', 'ko', 'fr', 'de', 'es', 'ru', 'ar'],
 			inputDir: path.resolve(__dirname, 'src/translations'),
 			outputDir: path.resolve(__dirname, 'public/locales'),
+			emitLoader: path.resolve(__dirname, 'src/locales/index.js'),
 		}),
 	],
 	resolve: {
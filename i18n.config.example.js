@@ -23,16 +23,79 @@ module.exports = {
 	languages: ['vi', 'en', 'zh', 'ja', 'ko', 'fr', 'de', 'es', 'ru', 'ar'],
 
 	/**
-	 * Input directory containing translation JSON files
+	 * Input directory containing translation source files
+	 * (.json, .yaml/.yml, .json5/.jsonc or JS/TS modules exporting the object)
 	 * @type {string}
 	 */
 	inputDir: './src/translations',
 
+	/**
+	 * Alternative to inputDir: directories (recursive) and/or globs (optional)
+	 * Output keeps relative paths: outputDir/<lang>/admin/users.json
+	 * @type {string | string[]}
+	 */
+	// input: ['./src/translations', './src/features/*/translations/*.json'],
+
 	/**
 	 * Output directory for generated language files
 	 * @type {string}
 	 */
 	outputDir: './public/locales',
+
+	/**
+	 * Fallback for keys missing in a language (optional)
+	 * A language code, or per-language chains like i18next `fallbackLng`
+	 * @type {string | string[] | Object<string, string | string[]>}
+	 * @example { 'pt-BR': ['pt', 'en'], default: 'en' }
+	 */
+	fallbackLanguage: 'en',
+
+	/**
+	 * Write the missing translations report to this JSON file (optional)
+	 * @type {string}
+	 */
+	missingReport: './i18n-missing.json',
+
+	/**
+	 * Exit with an error when any translation is missing (optional, for CI)
+	 * @type {boolean}
+	 */
+	failOnMissing: false,
+
+	/**
+	 * Language other languages' placeholders are compared against (optional)
+	 * Defaults to the first entry of `languages`
+	 * @type {string}
+	 */
+	referenceLanguage: 'en',
+
+	/**
+	 * Placeholder validation for {{var}}, ICU {var} and $t(key): 'warn' | 'error' | false
+	 * @type {'warn' | 'error' | false}
+	 */
+	validatePlaceholders: 'warn',
+
+	/**
+	 * Write TypeScript declarations for i18next (optional)
+	 * `true` writes <inputDir>/i18next.d.ts
+	 * @type {boolean | string}
+	 */
+	emitTypes: './src/@types/i18next.d.ts',
+
+	/**
+	 * Write a module that imports the generated files (optional)
+	 * 'lazy' exports loadNamespace(lang, ns) with dynamic import(),
+	 * 'static' exports a `resources` object
+	 * @type {string | { path: string, mode?: 'lazy' | 'static' }}
+	 */
+	emitLoader: { path: './src/locales/index.js', mode: 'lazy' },
+
+	/**
+	 * Lockfile used to detect stale translations (optional)
+	 * `true` writes ./i18n.lock.json; commit it with the sources
+	 * @type {boolean | string}
+	 */
+	lockFile: './i18n.lock.json',
 };
 
 // ESM (Vite) - Uncomment and use this instead:
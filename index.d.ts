@@ -1,5 +1,8 @@
 declare module '@mg/i18n-generator' {
 	import { Compiler } from 'webpack';
+	import { Plugin } from 'vite';
+	import { Plugin as RollupPlugin } from 'rollup';
+	import { Plugin as EsbuildPlugin } from 'esbuild';
 
 	/**
 	 * Options for i18n-generator plugin
@@ -13,18 +16,216 @@ declare module '@mg/i18n-generator' {
 		languages?: string[];
 
 		/**
-		 * Path to the directory containing input JSON files
+		 * Path to the directory containing source files (top-level files only).
+		 * Sources may be `.json`, `.yaml`/`.yml` (needs `yaml`), `.json5`/`.jsonc`
+		 * (needs `json5`) or JS/TS modules exporting the object (`.ts`/`.mjs` need `jiti`).
+		 * Either `inputDir` or `input` is required.
 		 * @example path.resolve(__dirname, 'src/translations')
 		 */
-		inputDir: string;
+		inputDir?: string;
+
+		/**
+		 * Directories (searched recursively) and/or glob patterns (`*`, `?`, `**`).
+		 * Output paths keep the path relative to the directory, or the parts matched
+		 * by wildcards for globs: `src/features/admin/translations/users.json` matched by
+		 * `src/features/*\/translations/*.json` is written to `outputDir/<lang>/admin/users.json`.
+		 * Two sources mapping to the same output file are reported as a namespace collision.
+		 * @example ['./src/translations', './src/features/*\/translations/*.json']
+		 */
+		input?: string | string[];
 
 		/**
 		 * Path to the directory where language files will be generated
 		 * @example path.resolve(__dirname, 'public/locales')
 		 */
 		outputDir: string;
+
+		/**
+		 * Language(s) used to fill keys that have no value for a language.
+		 * Same format as i18next `fallbackLng`.
+		 * Filled keys are still listed in the missing translations report.
+		 * @example 'en'
+		 * @example { 'pt-BR': ['pt', 'en'], default: ['en'] }
+		 */
+		fallbackLanguage?: FallbackLanguage;
+
+		/**
+		 * Path of a JSON file to write the missing translations report to
+		 * @example './i18n-missing.json'
+		 */
+		missingReport?: string;
+
+		/**
+		 * Fail generation when any key is missing in any language (useful in CI)
+		 * @default false
+		 */
+		failOnMissing?: boolean;
+
+		/**
+		 * Language whose placeholders every other language is compared against
+		 * @default languages[0]
+		 */
+		referenceLanguage?: string;
+
+		/**
+		 * Compare `{{var}}`, ICU `{var}` and `$t(key)` placeholders with the reference language.
+		 * `'warn'` prints mismatches, `'error'` also fails generation, `false` disables the check.
+		 * @default 'warn'
+		 */
+		validatePlaceholders?: 'warn' | 'error' | false;
+
+		/**
+		 * Output of plural values (`{ one: '...', other: '...' }`) and context values
+		 * (leaf with `_select: 'variable'`):
+		 * - `'i18next'` writes i18next v4 keys (`item_one`, `item_other`, `friend_male`)
+		 * - `'icu'` writes one ICU message (`{count, plural, one {...} other {...}}`)
+		 *
+		 * The plural categories each language needs come from `Intl.PluralRules`;
+		 * missing ones are reported as missing keys (`item_few`).
+		 * @default 'i18next'
+		 */
+		outputFormat?: 'i18next' | 'icu';
+
+		/**
+		 * Pseudo languages derived from `referenceLanguage` and written to `outputDir`
+		 * like the others, to spot hard-coded strings and layout issues before translation:
+		 * - `'en-XA'`: accented and about 40% longer, between brackets (`[Šåvé one two]`)
+		 * - `'ar-XB'`: right-to-left, the text shown mirrored
+		 *
+		 * Placeholders, `$t()` nesting and HTML tags are kept. `true` enables both.
+		 * @default false
+		 */
+		pseudoLanguages?: boolean | Array<'en-XA' | 'ar-XB'>;
+
+		/**
+		 * Application code read by `i18n-gen scan` for `t()`, `useTranslation()` and `<Trans i18nKey>`:
+		 * directories and/or globs (JS/TS/JSX/TSX files), or `{ include, defaultNamespace }` where
+		 * `defaultNamespace` is the namespace of keys used without one (default `'translation'`).
+		 * @default './src/**\/*'
+		 */
+		scan?: string | string[] | { include?: string | string[]; defaultNamespace?: string };
+
+		/**
+		 * Write a `.d.ts` augmenting i18next `CustomTypeOptions['resources']`
+		 * with every namespace and key, plus an `I18nParams` interface of interpolation variables.
+		 * `true` writes `<inputDir>/i18next.d.ts`; a string is the output path.
+		 * @default false
+		 * @example './src/@types/i18next.d.ts'
+		 */
+		emitTypes?: boolean | string;
+
+		/**
+		 * Write a JS/TS module importing the generated locale files, kept in sync
+		 * with `languages` and the files in `inputDir`.
+		 * - `'lazy'` (default) exports `loadNamespace(lang, ns)` / `loadLanguage(lang)` using dynamic `import()`
+		 * - `'static'` exports a `resources` object for i18next `init({ resources })`
+		 *
+		 * A `.ts` path emits TypeScript.
+		 * @example './src/locales/index.ts'
+		 * @example { path: './src/locales/index.js', mode: 'static' }
+		 */
+		emitLoader?: string | { path: string; mode?: 'lazy' | 'static' };
+
+		/**
+		 * Keep a lockfile with a hash of the reference-language text each translation
+		 * was made against. Translations whose reference text changed since are reported
+		 * as stale until they are edited or marked reviewed (`i18n-gen mark-reviewed`).
+		 * `true` uses `./i18n.lock.json`; commit the lockfile with the sources.
+		 * @example './i18n.lock.json'
+		 */
+		lockFile?: boolean | string;
+
+		/**
+		 * Skip source files that did not change since the last run. The cache stores a
+		 * hash of each source and of the output options, plus the issues found, so
+		 * reports stay complete. Outputs are only rewritten when their content differs.
+		 * `false` disables it; a string is the cache file path.
+		 * @default true (node_modules/.cache/i18n-generator/cache.json)
+		 */
+		cache?: boolean | string;
+
+		/**
+		 * Delete output files the generator created in a previous run but no longer
+		 * produces (removed source file or language), then empty folders.
+		 * Files it never created are left alone. `true` keeps the manifest in
+		 * node_modules/.cache/i18n-generator; a string is the manifest path.
+		 * @default false
+		 */
+		clean?: boolean | string;
+
+		/**
+		 * How the webpack and Rollup plugins output the generated files.
+		 * - `'disk'` writes them to `outputDir` before compiling
+		 * - `'assets'` adds them to every compilation (`outputDir` is then relative to
+		 *   `output.path`, or an absolute path inside it), so they appear in stats, are
+		 *   removed by `output.clean` and are rebuilt by `webpack --watch` / dev-server
+		 *   when a source file changes. `emitLoader` is ignored in this mode.
+		 *
+		 * The Rollup plugin emits the files with `this.emitFile`, relative to the output directory.
+		 * @default 'disk' ('assets' for the Rollup plugin)
+		 * @example 'assets'
+		 */
+		emit?: 'disk' | 'assets';
+
+		/**
+		 * When the webpack plugin generates. Skipped builds are logged with the reason.
+		 * - `'always'`: every build and rebuild
+		 * - `'build-only'`: single builds, not `webpack --watch` / dev-server
+		 * - `'watch'`: watch mode and dev-server only
+		 * - `'script:<name>'`: when started by the npm script `<name>`
+		 *   (`'script:i18n-generator'` matches earlier versions)
+		 * - `'env:<NAME>'`: when the environment variable is set and not `''`, `'0'` or `'false'`;
+		 *   `'env:<NAME>=<value>'` when it equals `value`
+		 * @default 'always'
+		 * @example 'env:GENERATE_LOCALES'
+		 */
+		mode?: RunMode;
 	}
 
+	/**
+	 * Run mode of the webpack plugins, see `I18nGeneratorOptions.mode`
+	 */
+	export type RunMode = 'always' | 'build-only' | 'watch' | `script:${string}` | `env:${string}`;
+
+	/**
+	 * Placeholders of a translation that differ from the reference language
+	 */
+	export interface PlaceholderMismatch {
+		/** Full key path */
+		key: string;
+		/** Placeholders present in the reference language only */
+		missing: string[];
+		/** Placeholders present in the translation only */
+		extra: string[];
+	}
+
+	/**
+	 * Placeholder mismatch report: language → source file → mismatches
+	 */
+	export type PlaceholderReport = {
+		[languageCode: string]: {
+			[inputFile: string]: PlaceholderMismatch[];
+		};
+	};
+
+	/**
+	 * Fallback language or per-language fallback chains
+	 */
+	export type FallbackLanguage =
+		| string
+		| string[]
+		| { [languageCode: string]: string | string[] };
+
+	/**
+	 * Missing translations report: language → source file → key paths
+	 * @example { "ja": { "common.json": ["welcome", "login.title"] } }
+	 */
+	export type MissingReport = {
+		[languageCode: string]: {
+			[inputFile: string]: string[];
+		};
+	};
+
 	/**
 	 * Translation object with nested structure
 	 * @example
@@ -73,7 +274,8 @@ declare module '@mg/i18n-generator' {
 	 * 1. Nested Object Structure - Hierarchical organization
 	 * 2. Dot Notation - Flat keys with dots (e.g., "booking.summary.text")
 	 *
-	 * The plugin only runs when the 'i18n-generator' npm script is executed.
+	 * The plugin runs on every build unless `mode` restricts it; with `emit: 'assets'`
+	 * the files are added to the compilation instead of being written to disk.
 	 *
 	 * @example
 	 * ```typescript
@@ -100,9 +302,58 @@ declare module '@mg/i18n-generator' {
 		 * Supports both nested objects and dot notation
 		 * @param obj - Input translation object
 		 * @param lang - Target language code
+		 * @param missing - Receives key paths that have no value for `lang`
+		 * @param mismatches - Receives placeholder mismatches with the reference language
 		 * @returns Extracted translations for the specified language
 		 */
-		extractTranslations(obj: InputTranslation, lang: string): Record<string, any>;
+		extractTranslations(
+			obj: InputTranslation,
+			lang: string,
+			missing?: string[],
+			mismatches?: PlaceholderMismatch[]
+		): Record<string, any>;
+
+		/**
+		 * Build the output files of one source file in every language without writing them
+		 * @param source - Source file and its output path
+		 * @param report - Receives missing translations
+		 * @param placeholderReport - Receives placeholder mismatches
+		 * @returns Output path relative to `outputDir` (`<lang>/<inputFile>`) and JSON content of each file
+		 */
+		buildFile(
+			source: InputFile,
+			report?: MissingReport,
+			placeholderReport?: PlaceholderReport
+		): { file: string; content: string }[];
+
+		/**
+		 * Generate output files for one source file in every language
+		 * @param source - Source file and its output path
+		 * @param report - Receives missing translations
+		 * @param placeholderReport - Receives placeholder mismatches
+		 * @returns Paths of the written files
+		 */
+		generateFile(
+			source: InputFile,
+			report?: MissingReport,
+			placeholderReport?: PlaceholderReport
+		): string[];
+
+		/**
+		 * Build the output files of every source file without writing them,
+		 * as used by `emit: 'assets'`
+		 * @param sources - Source files, all of `input` / `inputDir` by default
+		 */
+		buildAll(sources?: InputFile[]): GenerateResult & { outputs: BuiltFile[] };
+
+		/**
+		 * Generate output files for every source file in `input` / `inputDir`
+		 * @returns Missing translations and placeholder mismatch reports
+		 */
+		generateAll(options?: {
+			/** Regenerate every source file, ignoring the cache */
+			force?: boolean;
+		}): GenerateResult;
 
 		/**
 		 * Apply the plugin to webpack compiler
@@ -110,6 +361,221 @@ declare module '@mg/i18n-generator' {
 		 */
 		apply(compiler: Compiler): void;
 	}
+
+	/**
+	 * Generated file, before it is written
+	 */
+	export interface BuiltFile {
+		/** Output path relative to `outputDir`, e.g. `en/admin/users.json` */
+		file: string;
+		/** Serialized JSON */
+		content: string;
+	}
+
+	/**
+	 * One language extracted from a source object
+	 */
+	export interface ExtractResult {
+		/** Translations of the language, keeping the nested / dot-notation structure */
+		translations: Record<string, any>;
+		/** Number of keys that have a value in this language */
+		keys: number;
+		/** Key paths without a value, filled from `fallbackLanguage` when possible */
+		missing: string[];
+		/** Placeholders that differ from the reference language */
+		mismatches: PlaceholderMismatch[];
+		/** Plural forms left out of the output, e.g. `item_=0` with `outputFormat: 'i18next'` */
+		unsupported: string[];
+	}
+
+	/**
+	 * Result of `generate()`
+	 */
+	export interface GenerateResult {
+		/** Number of source files */
+		sources: number;
+		/** Paths of the files written (unchanged files are not rewritten) */
+		written: string[];
+		/** Source files skipped because they did not change (`cache`) */
+		skipped: string[];
+		/** Orphaned outputs deleted, relative to `outputDir` (`clean`) */
+		removed: string[];
+		/** Number of translated keys per language */
+		keys: { [languageCode: string]: number };
+		missing: MissingReport;
+		placeholders: PlaceholderReport;
+		/** Plural forms left out of the outputs: exact values (`=0`) with `outputFormat: 'i18next'` */
+		unsupported: MissingReport;
+		/** Stale translations (`lockFile`) */
+		stale: MissingReport;
+		/** Modules written by `emitTypes`, `emitLoader` and `lockFile` */
+		modules: {
+			types?: { typesPath: string; changed: boolean };
+			loader?: { loaderPath: string; changed: boolean };
+			lock?: { lockPath: string; changed: boolean };
+		};
+		/** Placeholder mismatches, unsupported plural forms and stale translations, one line each */
+		warnings: string[];
+		/** Issues that fail generation (`failOnMissing`, `validatePlaceholders: 'error'`) */
+		errors: string[];
+		/** Built files, with `write: false` only */
+		outputs?: BuiltFile[];
+	}
+
+	/**
+	 * Generate every source file of `input` / `inputDir`: the engine behind the CLI
+	 * and the bundler plugins. Nothing is printed and issues do not throw: check `errors`.
+	 *
+	 * @example
+	 * ```typescript
+	 * import { generate } from '@mg/i18n-generator';
+	 *
+	 * const result = generate({ languages: ['vi', 'en'], inputDir: './src/translations', outputDir: './public/locales' });
+	 * if (result.errors.length > 0) {
+	 *   throw new Error(result.errors.join('\n'));
+	 * }
+	 * ```
+	 */
+	export function generate(
+		config: I18nGeneratorOptions,
+		options?: {
+			/** Regenerate every source file, ignoring the cache */
+			force?: boolean;
+			/** `false` returns the files in `outputs` instead of writing them (no cache, clean or loader) */
+			write?: boolean;
+			/** Source files to generate, all of `input` / `inputDir` by default */
+			sources?: InputFile[];
+		}
+	): GenerateResult;
+
+	/**
+	 * Extract one language from a source object
+	 *
+	 * @example
+	 * ```typescript
+	 * import { extract } from '@mg/i18n-generator';
+	 *
+	 * extract({ save: { vi: 'Lưu', en: 'Save' } }, 'en', { languages: ['vi', 'en'] }).translations;
+	 * // { save: 'Save' }
+	 * ```
+	 */
+	export function extract(
+		source: InputTranslation,
+		lang: string,
+		options?: Pick<
+			I18nGeneratorOptions,
+			'languages' | 'fallbackLanguage' | 'referenceLanguage' | 'validatePlaceholders' | 'outputFormat' | 'pseudoLanguages'
+		>
+	): ExtractResult;
+
+	/**
+	 * A source file and its output path relative to `outputDir/<lang>/`
+	 */
+	export interface InputFile {
+		/** Path of the source file */
+		filePath: string;
+		/** Output path relative to `outputDir/<lang>/`, e.g. `admin/users.json` */
+		inputFile: string;
+	}
+
+	/**
+	 * Payload of the custom HMR event sent after a namespace is regenerated
+	 */
+	export interface I18nGeneratorUpdatePayload {
+		/** Namespace (output path without `.json`, e.g. `admin/users`) that changed */
+		namespace: string;
+		/** Languages that were regenerated */
+		languages: string[];
+	}
+
+	/**
+	 * Vite plugin that generates language files in `buildStart` and regenerates
+	 * the changed namespace while the dev server is running.
+	 *
+	 * Relative paths (`inputDir`, `input`, `outputDir`, `emitTypes`, `emitLoader`, `lockFile`,
+	 * `cache`, `clean`, `missingReport`) are resolved against the Vite root, and so are the
+	 * default lockfile, cache and clean manifest paths.
+	 * After regeneration a custom `i18n-generator:update` HMR event is sent.
+	 *
+	 * @example
+	 * ```typescript
+	 * // vite.config.ts
+	 * import { i18nGeneratorVite } from '@mg/i18n-generator';
+	 *
+	 * export default defineConfig({
+	 *   plugins: [
+	 *     i18nGeneratorVite({
+	 *       languages: ['vi', 'en'],
+	 *       inputDir: './src/translations',
+	 *       outputDir: './public/locales',
+	 *     }),
+	 *   ],
+	 * });
+	 *
+	 * // src/i18n.ts
+	 * import.meta.hot?.on('i18n-generator:update', ({ namespace }) => {
+	 *   i18n.reloadResources(undefined, [namespace]).then(() => {
+	 *     i18n.changeLanguage(i18n.language);
+	 *   });
+	 * });
+	 * ```
+	 */
+	export function i18nGeneratorVite(options: I18nGeneratorOptions): Plugin;
+
+	/**
+	 * Rollup plugin that emits the language files as assets of the bundle with
+	 * `this.emitFile` (`outputDir` relative to the output directory), or writes them
+	 * to `outputDir` with `emit: 'disk'`.
+	 *
+	 * Source files and input directories are watched by `rollup --watch`.
+	 * Generation errors fail the build.
+	 *
+	 * @example
+	 * ```typescript
+	 * // rollup.config.ts
+	 * import { i18nGeneratorRollup } from '@mg/i18n-generator';
+	 *
+	 * export default {
+	 *   input: 'src/main.ts',
+	 *   output: { dir: 'dist' },
+	 *   plugins: [
+	 *     i18nGeneratorRollup({
+	 *       languages: ['vi', 'en'],
+	 *       inputDir: './src/translations',
+	 *       outputDir: 'locales', // dist/locales/<lang>/<name>.json
+	 *     }),
+	 *   ],
+	 * };
+	 * ```
+	 */
+	export function i18nGeneratorRollup(options: I18nGeneratorOptions): RollupPlugin;
+
+	/**
+	 * esbuild plugin that writes the language files to `outputDir` when each build
+	 * or rebuild starts. Generation errors are returned as build errors.
+	 *
+	 * Generated files imported by the bundle (e.g. through `emitLoader`) are watched
+	 * through their source file, so watch mode rebuilds when a source changes.
+	 *
+	 * @example
+	 * ```typescript
+	 * import * as esbuild from 'esbuild';
+	 * import { i18nGeneratorEsbuild } from '@mg/i18n-generator';
+	 *
+	 * await esbuild.build({
+	 *   entryPoints: ['src/main.ts'],
+	 *   bundle: true,
+	 *   plugins: [
+	 *     i18nGeneratorEsbuild({
+	 *       languages: ['vi', 'en'],
+	 *       inputDir: './src/translations',
+	 *       outputDir: './src/locales',
+	 *     }),
+	 *   ],
+	 * });
+	 * ```
+	 */
+	export function i18nGeneratorEsbuild(options: I18nGeneratorOptions): EsbuildPlugin;
 }
 
 /**
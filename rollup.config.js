@@ -2,29 +2,46 @@ const resolve = require('@rollup/plugin-node-resolve');
 const commonjs = require('@rollup/plugin-commonjs');
 const terser = require('@rollup/plugin-terser');
 const babel = require('@rollup/plugin-babel');
+const json = require('@rollup/plugin-json');
 
-module.exports = {
-	input: 'src/index.js', // Entry point
-	output: [
-		{
+const plugins = [
+	resolve(), // Resolve Node.js modules
+	json(), // Inline package.json (version of the cache entries)
+	commonjs({
+		// Source modules (.js) are loaded with require() at runtime; the optional
+		// parsers are required inside try/catch and kept as is (see src/readers.js)
+		ignoreDynamicRequires: true,
+	}), // Convert CommonJS modules to ES6
+	babel({
+		exclude: 'node_modules/**', // Only transpile our source code
+		babelHelpers: 'bundled',
+	}),
+	terser(), // Minify the output for production
+];
+
+// Node.js built-ins and optional source parsers (peer dependencies) stay external
+const external = ['fs', 'path', 'yaml', 'json5', 'jiti'];
+
+module.exports = [
+	{
+		input: 'src/index.js', // Entry point
+		output: {
 			file: 'dist/index.cjs.js', // Output file
 			format: 'cjs', // CommonJS format for Node.js compatibility
+			exports: 'default', // module.exports is the generator class
 			sourcemap: true, // Include source maps for debugging
 		},
-		{
+		plugins,
+		external,
+	},
+	{
+		input: 'src/index.mjs', // Adds the named exports
+		output: {
 			file: 'dist/index.esm.js', // ES Module format
 			format: 'esm',
 			sourcemap: true,
 		},
-	],
-	plugins: [
-		resolve(), // Resolve Node.js modules
-		commonjs(), // Convert CommonJS modules to ES6
-		babel({
-			exclude: 'node_modules/**', // Only transpile our source code
-			babelHelpers: 'bundled',
-		}),
-		terser(), // Minify the output for production
-	],
-	external: ['fs', 'path'], // Mark these Node.js built-ins as external
-};
+		plugins,
+		external,
+	},
+];
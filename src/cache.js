@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeFileIfChanged, hashFile } = require('./fs-utils.js');
+const { getOutputLanguages } = require('./options.js');
+// Inlined into the dist/ bundles by @rollup/plugin-json
+const { version } = require('../package.json');
+
+/**
+ * Incremental generation (`cache` option, on by default)
+ *
+ * The cache stores, per source file, a hash of its content together with the
+ * key counts, missing keys and placeholder mismatches found when it was generated
+ * (per language, see core.js), so unchanged files are skipped while their issues
+ * are still reported.
+ * A hash of the options that shape the output invalidates every entry at once.
+ *
+ *   { config: '<hash>', files: { '/abs/common.json': { hash, inputFile, keys, missing, mismatches } } }
+ */
+
+const DEFAULT_CACHE_FILE = path.join('node_modules', '.cache', 'i18n-generator', 'cache.json');
+
+// Options that change the generated files or the reports
+const OUTPUT_OPTIONS = [
+	'languages',
+	'outputDir',
+	'fallbackLanguage',
+	'referenceLanguage',
+	'validatePlaceholders',
+	'outputFormat',
+	'pseudoLanguages',
+];
+
+function hash(content) {
+	return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function getCachePath(config) {
+	return typeof config.cache === 'string' ? config.cache : DEFAULT_CACHE_FILE;
+}
+
+function getConfigHash(config) {
+	const options = OUTPUT_OPTIONS.reduce(
+		(picked, key) => ({ ...picked, [key]: key === 'outputDir' ? path.resolve(config[key]) : config[key] }),
+		{}
+	);
+
+	return hash(JSON.stringify({ version, options }));
+}
+
+function readCache(cachePath) {
+	try {
+		return JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+	} catch (error) {
+		// Missing or corrupted cache: start over
+		return null;
+	}
+}
+
+/**
+ * Load the cache for a run
+ * `force` ignores the stored entries (they are rewritten on save);
+ * `cache: false` disables reading and writing entirely
+ */
+function createCache(config, { force = false } = {}) {
+	const { outputDir } = config;
+	const languages = getOutputLanguages(config);
+	const enabled = config.cache !== false;
+	const cachePath = getCachePath(config);
+	const configHash = getConfigHash(config);
+
+	const stored = enabled && !force ? readCache(cachePath) : null;
+	const previous = stored && stored.config === configHash ? stored.files || {} : {};
+	const files = {};
+	// Hashes are taken before generation, so a file saved mid-run is regenerated next time
+	const hashes = new Map();
+
+	const getHash = (filePath) => {
+		const key = path.resolve(filePath);
+		if (!hashes.has(key)) {
+			hashes.set(key, hashFile(filePath));
+		}
+		return hashes.get(key);
+	};
+
+	return {
+		/**
+		 * Cached result of an unchanged source whose outputs still exist
+		 * Call before generating the source: it also takes the hash stored by `set`
+		 * @returns {{ keys: Object, missing: Object, mismatches: Object, unsupported: Object } | null}
+		 */
+		get(source) {
+			const key = path.resolve(source.filePath);
+			const entry = previous[key];
+			const currentHash = getHash(source.filePath);
+
+			// Entries written before key counts and unsupported forms were stored are regenerated
+			if (!entry || !entry.keys || !entry.unsupported || entry.inputFile !== source.inputFile || entry.hash !== currentHash) {
+				return null;
+			}
+
+			const outputsExist = languages.every((lang) =>
+				fs.existsSync(path.join(outputDir, lang, source.inputFile))
+			);
+
+			if (!outputsExist) {
+				return null;
+			}
+
+			files[key] = entry;
+			return entry;
+		},
+
+		/**
+		 * Record a generated source with its per-language `{ keys, missing, mismatches, unsupported }`
+		 */
+		set(source, { keys, missing, mismatches, unsupported }) {
+			files[path.resolve(source.filePath)] = {
+				hash: getHash(source.filePath),
+				inputFile: source.inputFile,
+				keys,
+				missing,
+				mismatches,
+				unsupported,
+			};
+		},
+
+		/**
+		 * Write the entries of this run; sources that were not seen are dropped
+		 */
+		save() {
+			if (enabled) {
+				writeFileIfChanged(cachePath, `${JSON.stringify({ config: configHash, files })}\n`);
+			}
+		},
+	};
+}
+
+module.exports = {
+	getCachePath,
+	createCache,
+};
@@ -0,0 +1,328 @@
+const fs = require('fs');
+const path = require('path');
+const { getFallbackLanguages } = require('./missing.js');
+const { comparePlaceholders, formatMismatch } = require('./placeholders.js');
+const { resolveInputFiles, getInputRoots } = require('./inputs.js');
+const { readSource, SourceParseError } = require('./readers.js');
+const { isMetadataKey, walkTranslations } = require('./traverse.js');
+const { findStale } = require('./lock.js');
+const { isPluralValue, isContextValue, checkPluralCategories } = require('./plurals.js');
+const { resolveOptions } = require('./options.js');
+
+/**
+ * Source validation for `i18n-gen check`
+ * Parses every source file without writing output and collects issues:
+ * - parse-error: file cannot be parsed (see readers.js)
+ * - missing-language: translation leaf has no value for a configured language
+ * - unknown-language: translation leaf has a language code not in `languages`
+ *   (or used as a `fallbackLanguage`); `_`-prefixed metadata keys are allowed
+ * - empty-string (warning): translation value is an empty string, written as is
+ * - mixed-leaf: leaf mixes language keys with nested keys (nested keys are dropped)
+ * - invalid-value: value that is not JSON (a function or undefined in JS sources)
+ * Translations and language-neutral constants can be any JSON value (see traverse.js)
+ * - placeholder-mismatch: placeholders differ from the reference language (a warning
+ *   unless `validatePlaceholders` is 'error', not checked when it is false)
+ * - plural-category: plural value lacks a category the language needs (see plurals.js),
+ *   or (warning) has one the language never selects or exact values with the 'i18next' format
+ * - missing-context: context value (leaf with `_select`) without the default `other` context
+ * - stale-translation (warning): the reference text changed since the translation
+ *   was recorded in the lockfile (`lockFile` option, see lock.js)
+ */
+
+function createIssue(type, file, key, message, extra = {}) {
+	return { type, severity: 'error', file, key, message, ...extra };
+}
+
+/**
+ * Plural values of a translation, with the context they belong to (leaf with `_select`)
+ * @returns {[string|null, Object][]}
+ */
+function getPluralValues(translation, select) {
+	if (isPluralValue(translation)) {
+		return [[null, translation]];
+	}
+	if (!isContextValue(translation, select)) {
+		return [];
+	}
+
+	return Object.keys(translation)
+		.filter((context) => isPluralValue(translation[context]))
+		.map((context) => [context, translation[context]]);
+}
+
+function checkPluralForms(value, lang, keyPath, file, outputFormat, issues) {
+	if (isContextValue(value[lang], value._select) && value[lang].other === undefined) {
+		issues.push(
+			createIssue(
+				'missing-context',
+				file,
+				keyPath,
+				`"${lang}" lacks the "other" context (default of "${value._select}")`,
+				{ lang }
+			)
+		);
+	}
+
+	getPluralValues(value[lang], value._select).forEach(([context, plural]) => {
+		const { missing, unused, unsupported } = checkPluralCategories(plural, lang, outputFormat);
+		const target = context ? `"${lang}" "${context}" plural` : `"${lang}" plural`;
+
+		if (missing.length > 0) {
+			issues.push(
+				createIssue('plural-category', file, keyPath, `${target} lacks categories: ${missing.join(', ')}`, {
+					lang,
+					missing,
+				})
+			);
+		}
+		if (unused.length > 0) {
+			issues.push(
+				createIssue(
+					'plural-category',
+					file,
+					keyPath,
+					`${target} has categories "${lang}" never uses: ${unused.join(', ')}`,
+					{ lang, unused, severity: 'warning' }
+				)
+			);
+		}
+		if (unsupported.length > 0) {
+			issues.push(
+				createIssue(
+					'plural-category',
+					file,
+					keyPath,
+					`${target} has exact values left out of i18next output (use outputFormat 'icu'): ${unsupported.join(', ')}`,
+					{ lang, unsupported, severity: 'warning' }
+				)
+			);
+		}
+	});
+}
+
+function checkLeaf(value, keyPath, file, languages, options, issues) {
+	const { knownLanguages = [], referenceLanguage, placeholderSeverity = 'error', outputFormat } = options;
+	const languageSet = new Set([...languages, ...knownLanguages]);
+
+	languages.forEach((lang) => {
+		if (value[lang] === undefined) {
+			issues.push(
+				createIssue('missing-language', file, keyPath, `Missing "${lang}" translation`, { lang })
+			);
+		} else if (typeof value[lang] === 'function') {
+			issues.push(
+				createIssue('invalid-value', file, keyPath, `"${lang}" translation must be a JSON value, got function`, {
+					lang,
+				})
+			);
+		} else if (typeof value[lang] === 'string' && value[lang].trim() === '') {
+			issues.push(
+				createIssue('empty-string', file, keyPath, `Empty "${lang}" translation`, { lang, severity: 'warning' })
+			);
+		} else if (referenceLanguage && lang !== referenceLanguage) {
+			const mismatch = comparePlaceholders(value[referenceLanguage], value[lang]);
+			if (mismatch) {
+				issues.push(
+					createIssue(
+						'placeholder-mismatch',
+						file,
+						keyPath,
+						`"${lang}" placeholders differ from "${referenceLanguage}": ${formatMismatch(mismatch)}`,
+						{ lang, ...mismatch, severity: placeholderSeverity }
+					)
+				);
+			}
+		}
+
+		if (value[lang] !== undefined && typeof value[lang] !== 'function') {
+			checkPluralForms(value, lang, keyPath, file, outputFormat, issues);
+		}
+	});
+
+	Object.keys(value)
+		.filter((k) => !languageSet.has(k) && !isMetadataKey(k))
+		.forEach((k) => {
+			if (value[k] && typeof value[k] === 'object' && !Array.isArray(value[k])) {
+				issues.push(
+					createIssue(
+						'mixed-leaf',
+						file,
+						keyPath,
+						`Nested key "${k}" is mixed with language keys and will be dropped`
+					)
+				);
+			} else {
+				issues.push(
+					createIssue('unknown-language', file, keyPath, `Unknown language code "${k}"`, {
+						lang: k,
+					})
+				);
+			}
+		});
+}
+
+/**
+ * Validate one parsed source object
+ * options: { knownLanguages, referenceLanguage, placeholderSeverity, outputFormat }
+ * @returns {Object[]} issues
+ */
+function checkContent(content, file, languages, options = {}) {
+	const issues = [];
+
+	if (!content || typeof content !== 'object' || Array.isArray(content)) {
+		issues.push(createIssue('invalid-value', file, '', 'Source file must contain a JSON object'));
+	} else {
+		walkTranslations(content, languages, {
+			leaf(value, keyPath) {
+				checkLeaf(value, keyPath.join('.'), file, languages, options, issues);
+			},
+			invalid(value, keyPath) {
+				issues.push(
+					createIssue('invalid-value', file, keyPath.join('.'), `Expected a JSON value, got ${typeof value}`)
+				);
+			},
+		});
+	}
+
+	return issues;
+}
+
+/**
+ * Validate every source file from `input` / `inputDir`
+ * @returns {{ files: number, issues: Object[] }}
+ */
+function checkTranslations(config) {
+	const { languages, fallbackLanguage, referenceLanguage, validatePlaceholders, outputFormat } =
+		resolveOptions(config);
+	const options = {
+		knownLanguages: getFallbackLanguages(fallbackLanguage),
+		referenceLanguage: validatePlaceholders ? referenceLanguage : null,
+		placeholderSeverity: validatePlaceholders === 'error' ? 'error' : 'warning',
+		outputFormat,
+	};
+
+	getInputRoots(config).forEach((root) => {
+		if (!fs.existsSync(root)) {
+			throw new Error(`Input directory not found: ${root}`);
+		}
+	});
+
+	const sources = resolveInputFiles(config);
+	const issues = [];
+
+	sources.forEach(({ filePath }) => {
+		const file = path.relative(process.cwd(), filePath);
+
+		let content;
+		try {
+			content = readSource(filePath);
+		} catch (error) {
+			if (!(error instanceof SourceParseError)) {
+				throw error;
+			}
+			const { reason, line, column } = error;
+			issues.push(createIssue('parse-error', file, '', reason, line ? { line, column } : {}));
+			return;
+		}
+
+		issues.push(...checkContent(content, file, languages, options));
+	});
+
+	if (config.lockFile && !issues.some(({ type }) => type === 'parse-error')) {
+		const stale = findStale(config);
+		const byInputFile = new Map(sources.map((source) => [source.inputFile, source.filePath]));
+
+		Object.keys(stale).forEach((lang) => {
+			Object.keys(stale[lang]).forEach((inputFile) => {
+				const file = path.relative(process.cwd(), byInputFile.get(inputFile));
+
+				stale[lang][inputFile].forEach((key) => {
+					issues.push(
+						createIssue(
+							'stale-translation',
+							file,
+							key,
+							`"${lang}" translation was made for a previous "${referenceLanguage}" text`,
+							{ lang, severity: 'warning' }
+						)
+					);
+				});
+			});
+		});
+	}
+
+	return { files: sources.length, issues };
+}
+
+/**
+ * Escape data for GitHub Actions workflow commands
+ */
+function escapeGithub(value, isProperty) {
+	let escaped = String(value)
+		.replace(/%/g, '%25')
+		.replace(/\r/g, '%0D')
+		.replace(/\n/g, '%0A');
+
+	if (isProperty) {
+		escaped = escaped.replace(/:/g, '%3A').replace(/,/g, '%2C');
+	}
+
+	return escaped;
+}
+
+function countErrors(issues) {
+	return issues.filter(({ severity }) => severity === 'error').length;
+}
+
+const reporters = {
+	pretty({ files, issues }) {
+		if (issues.length === 0) {
+			console.log(`✅ Checked ${files} files, no issues found`);
+			return;
+		}
+
+		const byFile = {};
+		issues.forEach((issue) => {
+			(byFile[issue.file] = byFile[issue.file] || []).push(issue);
+		});
+
+		Object.keys(byFile).forEach((file) => {
+			console.log(`\n📄 ${file}`);
+			byFile[file].forEach(({ type, severity, key, message, line, column }) => {
+				const location = line ? `${line}:${column}` : key;
+				const icon = severity === 'warning' ? '⚠️ ' : '❌';
+				console.log(`   ${icon} ${location ? `${location} ` : ''}${message} (${type})`);
+			});
+		});
+
+		const errors = countErrors(issues);
+		console.log(`\n${errors > 0 ? '❌' : '⚠️ '} Checked ${files} files, found ${issues.length} issues (${errors} errors)`);
+	},
+
+	json(result) {
+		const errors = countErrors(result.issues);
+		console.log(
+			JSON.stringify({ ...result, errors, warnings: result.issues.length - errors }, null, 2)
+		);
+	},
+
+	github({ issues }) {
+		issues.forEach(({ type, severity, file, key, message, line, column }) => {
+			const properties = [`file=${escapeGithub(file, true)}`];
+			if (line) {
+				properties.push(`line=${line}`, `col=${column}`);
+			}
+			properties.push(`title=${escapeGithub(`i18n ${type}`, true)}`);
+
+			const text = key ? `${key}: ${message}` : message;
+			console.log(`::${severity} ${properties.join(',')}::${escapeGithub(text)}`);
+		});
+	},
+};
+
+module.exports = {
+	checkContent,
+	checkTranslations,
+	countErrors,
+	reporters,
+};
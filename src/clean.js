@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileIfChanged } = require('./fs-utils.js');
+const { getOutputLanguages } = require('./options.js');
+
+/**
+ * Removal of orphaned outputs (`clean` option)
+ *
+ * A manifest lists, per output directory, the files generated by the last run.
+ * Files listed there that the current run no longer produces (deleted source
+ * file, removed language) are deleted, along with directories left empty.
+ * Files the generator never produced are never touched.
+ *
+ *   { '/abs/public/locales': ['en/common.json', 'vi/common.json'] }
+ */
+
+const DEFAULT_MANIFEST_FILE = path.join('node_modules', '.cache', 'i18n-generator', 'manifest.json');
+
+function getManifestPath(config) {
+	return typeof config.clean === 'string' ? config.clean : DEFAULT_MANIFEST_FILE;
+}
+
+function readManifest(manifestPath) {
+	try {
+		return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+	} catch (error) {
+		return {};
+	}
+}
+
+/**
+ * Remove `dir` and its parents while they are empty, stopping at `root`
+ */
+function removeEmptyDirectories(dir, root) {
+	let current = dir;
+
+	while (current.startsWith(root + path.sep) && fs.existsSync(current) && fs.readdirSync(current).length === 0) {
+		fs.rmdirSync(current);
+		current = path.dirname(current);
+	}
+}
+
+/**
+ * Delete the outputs of the previous run that `sources` no longer produce
+ * and record the current outputs in the manifest
+ * @returns {string[]} Removed files, relative to `outputDir`
+ */
+function cleanOutputs(config, sources) {
+	const languages = getOutputLanguages(config);
+	const outputDir = path.resolve(config.outputDir);
+	const manifestPath = getManifestPath(config);
+	const manifest = readManifest(manifestPath);
+
+	const produced = [];
+	languages.forEach((lang) => {
+		sources.forEach(({ inputFile }) => produced.push(`${lang}/${inputFile}`));
+	});
+
+	const current = new Set(produced);
+	const removed = (manifest[outputDir] || []).filter((file) => {
+		const filePath = path.resolve(outputDir, file);
+
+		if (current.has(file) || !filePath.startsWith(outputDir + path.sep) || !fs.existsSync(filePath)) {
+			return false;
+		}
+
+		fs.unlinkSync(filePath);
+		removeEmptyDirectories(path.dirname(filePath), outputDir);
+		return true;
+	});
+
+	manifest[outputDir] = produced.sort();
+	writeFileIfChanged(manifestPath, `${JSON.stringify(manifest, null, '\t')}\n`);
+
+	return removed;
+}
+
+module.exports = {
+	getManifestPath,
+	cleanOutputs,
+};
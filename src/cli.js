@@ -2,92 +2,417 @@
 
 const fs = require('fs');
 const path = require('path');
+const { printMissingReport } = require('./missing.js');
+const { printPlaceholderReport } = require('./placeholders.js');
+const { printUnsupportedReport } = require('./plurals.js');
+const {
+	generate,
+	generateSource,
+	summarize,
+	createResult,
+	addSummary,
+	emitModules,
+	handleResult,
+	resolveOptions,
+} = require('./core.js');
+const { checkTranslations, countErrors, reporters } = require('./check.js');
+const { writeTypes } = require('./types.js');
+const { resolveInputFiles, getInputPatterns, getInputRoots, findInputFile } = require('./inputs.js');
+const { isSourceFile } = require('./readers.js');
+const { exportTranslations } = require('./export.js');
+const { importTranslations } = require('./import.js');
+const { mergeTranslations } = require('./merge.js');
+const { markReviewed, printStaleReport } = require('./lock.js');
+const { cleanOutputs } = require('./clean.js');
+const { getOutputLanguages } = require('./options.js');
+const { scanTranslations } = require('./scan.js');
 
 /**
  * CLI tool for i18n-generator
  * Works with any build tool: Webpack, Vite, Rollup, etc.
  */
 
-function extractTranslations(obj, languages, lang) {
-	const result = {};
+function printWritten(config, written) {
+	written.forEach((outputPath) => {
+		console.log(`✓ Generated: ${path.relative(config.outputDir, outputPath).split(path.sep).join('/')}`);
+	});
+}
 
-	const processObject = (source, target) => {
-		Object.keys(source).forEach((key) => {
-			const value = source[key];
+/**
+ * Print the modules written by emitModules (see core.js)
+ */
+function printModules({ types, loader, lock }) {
+	if (types) {
+		console.log(`🔷 Types: ${types.typesPath}${types.changed ? '' : ' (unchanged)'}`);
+	}
 
-			if (value && typeof value === 'object' && !Array.isArray(value)) {
-				if (value[lang]) {
-					target[key] = value[lang];
-				} else {
-					const hasLangKeys = Object.keys(value).some((k) =>
-						languages.includes(k)
-					);
+	if (loader) {
+		console.log(`📦 Loader: ${loader.loaderPath}${loader.changed ? '' : ' (unchanged)'}`);
+	}
 
-					if (!hasLangKeys) {
-						target[key] = {};
-						processObject(value, target[key]);
-					}
-				}
-			}
-		});
-	};
+	if (lock) {
+		console.log(`🔒 Lock: ${lock.lockPath}${lock.changed ? '' : ' (unchanged)'}`);
+	}
+}
 
-	processObject(obj, result);
-	return result;
+/**
+ * Exit when an input directory does not exist (globs may match nothing)
+ */
+function ensureInputRoots(config) {
+	getInputRoots(config).forEach((root) => {
+		if (!fs.existsSync(root)) {
+			console.error(`❌ Error: Input directory not found: ${root}`);
+			process.exit(1);
+		}
+	});
 }
 
-function generateTranslations(config) {
-	const { languages = ['vi', 'en'], inputDir, outputDir } = config;
+function printBanner(config) {
+	const { outputDir } = config;
 
 	console.log('🌍 i18n-generator CLI');
-	console.log(`📁 Input: ${inputDir}`);
+	console.log(`📁 Input: ${getInputPatterns(config).join(', ')}`);
 	console.log(`📁 Output: ${outputDir}`);
-	console.log(`🗣️  Languages: ${languages.join(', ')}\n`);
+	console.log(`🗣️  Languages: ${getOutputLanguages(config).join(', ')}\n`);
+}
 
-	if (!fs.existsSync(inputDir)) {
-		console.error(`❌ Error: Input directory not found: ${inputDir}`);
-		process.exit(1);
+/**
+ * Delete outputs of removed source files and languages when `clean` is set
+ */
+function removeOrphans(config, sources) {
+	if (!config.clean) {
+		return;
 	}
 
-	const inputFiles = fs
-		.readdirSync(inputDir)
-		.filter((file) => file.endsWith('.json'));
+	cleanOutputs(config, sources).forEach((file) => console.log(`🧹 Removed: ${file}`));
+}
+
+/**
+ * Generate every source file; unchanged sources are skipped (see cache.js)
+ * unless `force` is set
+ */
+function generateTranslations(config, { force = false } = {}) {
+	printBanner(config);
+	ensureInputRoots(config);
+
+	const sources = resolveInputFiles(config);
 
-	if (inputFiles.length === 0) {
-		console.warn(`⚠️  Warning: No JSON files found in ${inputDir}`);
+	if (sources.length === 0) {
+		console.warn(`⚠️  Warning: No source files found in ${getInputPatterns(config).join(', ')}`);
 		return;
 	}
 
-	let totalGenerated = 0;
+	const result = generate(config, { force, sources });
+
+	printWritten(config, result.written);
+	result.removed.forEach((file) => console.log(`🧹 Removed: ${file}`));
+
+	const { written, skipped } = result;
+	console.log(
+		`\n✨ Success! Generated ${written.length} files${skipped.length > 0 ? ` (${skipped.length} unchanged sources skipped, --force to rebuild)` : ''}`
+	);
+
+	printModules(result.modules);
+	handleResult(result, config);
+}
+
+/**
+ * Watch the input directories and regenerate only the source file that changed.
+ * Errors (e.g. invalid JSON while a file is being edited) are logged
+ * and the watcher keeps running until the next save.
+ */
+function watchTranslations(config, debounceMs = 100) {
+	printBanner(config);
+	ensureInputRoots(config);
+
+	// Absolute source path → inputFile, to report removed files
+	const known = new Map();
 
-	inputFiles.forEach((inputFile) => {
-		const filePath = path.join(inputDir, inputFile);
-		const fileContent = fs.readFileSync(filePath, 'utf-8');
-		const content = JSON.parse(fileContent);
+	const regenerate = (source) => {
+		try {
+			const { written, outputs } = generateSource(config, source);
+			const result = createResult();
+			addSummary(result, source.inputFile, summarize(outputs));
+			known.set(path.resolve(source.filePath), source.inputFile);
+
+			printWritten(config, written);
+			printPlaceholderReport(result.placeholders, resolveOptions(config).referenceLanguage);
+			printMissingReport(result.missing);
+			printUnsupportedReport(result.unsupported);
+		} catch (error) {
+			console.error(`❌ Error in ${source.filePath}: ${error.message}`);
+		}
+	};
+
+	const emitModulesSafely = () => {
+		try {
+			const result = createResult();
+			emitModules(config, result);
+			printModules(result.modules);
+			printStaleReport(result.stale, resolveOptions(config).referenceLanguage);
+		} catch (error) {
+			console.error(`❌ Error: ${error.message}`);
+		}
+	};
+
+	resolveInputFiles(config).forEach(regenerate);
+	emitModulesSafely();
 
-		languages.forEach((lang) => {
-			const outputContent = extractTranslations(content, languages, lang);
-			const outputPath = path.join(outputDir, lang, inputFile);
+	const timers = new Map();
 
-			if (!fs.existsSync(path.dirname(outputPath))) {
-				fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+	const onChange = (filePath) => {
+		clearTimeout(timers.get(filePath));
+		timers.set(
+			filePath,
+			setTimeout(() => {
+				timers.delete(filePath);
+
+				if (!fs.existsSync(filePath)) {
+					if (known.has(filePath)) {
+						console.log(`\n🗑️  Removed: ${known.get(filePath)}`);
+						known.delete(filePath);
+
+						try {
+							removeOrphans(config, resolveInputFiles(config));
+						} catch (error) {
+							console.error(`❌ Error: ${error.message}`);
+						}
+
+						// Drop the removed namespace from the generated modules
+						emitModulesSafely();
+					}
+					return;
+				}
+
+				let source;
+				try {
+					source = findInputFile(config, filePath);
+				} catch (error) {
+					console.error(`❌ Error: ${error.message}`);
+					return;
+				}
+
+				if (!source) {
+					return;
+				}
+
+				console.log(`\n🔄 Changed: ${source.inputFile}`);
+				regenerate(source);
+				emitModulesSafely();
+			}, debounceMs)
+		);
+	};
+
+	// `input` directories are recursive; fall back to a flat watch where
+	// recursive fs.watch is unavailable (Linux before Node 20)
+	const watchRoot = (root) => {
+		const listener = (eventType, filename) => {
+			if (filename && isSourceFile(filename)) {
+				onChange(path.resolve(root, filename));
 			}
+		};
 
-			fs.writeFileSync(outputPath, JSON.stringify(outputContent, null, 2));
-			totalGenerated++;
-			console.log(`✓ Generated: ${lang}/${inputFile}`);
-		});
+		try {
+			return fs.watch(root, { recursive: Boolean(config.input) }, listener);
+		} catch (error) {
+			return fs.watch(root, listener);
+		}
+	};
+
+	const roots = getInputRoots(config);
+	const watchers = roots.map(watchRoot);
+
+	console.log(`\n👀 Watching ${roots.join(', ')} for changes... (Ctrl+C to stop)`);
+
+	process.on('SIGINT', () => {
+		watchers.forEach((watcher) => watcher.close());
+		timers.forEach((timer) => clearTimeout(timer));
+		console.log('\n👋 Stopped watching');
+		process.exit(0);
+	});
+
+	return watchers;
+}
+
+/**
+ * Write TypeScript declarations for the source files
+ */
+function emitTypes(config) {
+	const { typesPath, changed } = writeTypes(config);
+	console.log(`🔷 Types: ${typesPath}${changed ? '' : ' (unchanged)'}`);
+}
+
+/**
+ * Record stale translations against the current reference text
+ * (`i18n-gen mark-reviewed [namespace[:key]...] [--lang=vi]`)
+ */
+function runMarkReviewed(config, ids, flags) {
+	if (!config.lockFile) {
+		throw new Error('mark-reviewed needs the `lockFile` option in the config');
+	}
+
+	const { lockPath, reviewed, stale } = markReviewed(config, {
+		ids,
+		lang: typeof flags.lang === 'string' ? flags.lang : undefined,
+	});
+
+	reviewed.forEach((id) => console.log(`✓ Reviewed: ${id}`));
+	console.log(`\n🔒 Marked ${reviewed.length} translations as reviewed in ${lockPath}`);
+	printStaleReport(stale, resolveOptions(config).referenceLanguage);
+}
+
+/**
+ * Validate source files without writing output.
+ * Exits with code 1 if any error is found (warnings such as stale translations do not fail).
+ */
+function runCheck(config, reporterName = 'pretty') {
+	const reporter = reporters[reporterName];
+
+	if (!reporter) {
+		throw new Error(
+			`Unknown reporter "${reporterName}" (available: ${Object.keys(reporters).join(', ')})`
+		);
+	}
+
+	const result = checkTranslations(config);
+	reporter(result);
+
+	process.exit(countErrors(result.issues) > 0 ? 1 : 0);
+}
+
+/**
+ * Compare the keys used by the application code with the source keys
+ * (`i18n-gen scan [glob...]`, globs default to the `scan` option).
+ * Exits with code 1 if a used key is missing (unused and dynamic keys are warnings).
+ */
+function runScan(config, globs, reporterName = 'pretty') {
+	const reporter = reporters[reporterName];
+
+	if (!reporter) {
+		throw new Error(
+			`Unknown reporter "${reporterName}" (available: ${Object.keys(reporters).join(', ')})`
+		);
+	}
+
+	ensureInputRoots(config);
+
+	const result = scanTranslations(config, { include: globs.length > 0 ? globs : undefined });
+	reporter(result);
+
+	process.exit(countErrors(result.issues) > 0 ? 1 : 0);
+}
+
+/**
+ * Write agency interchange files (`i18n-gen export --format=xliff --source=en --target=ja`)
+ */
+function runExport(config, flags) {
+	if (!flags.format || flags.format === true) {
+		throw new Error('Missing --format (xliff, po or csv)');
+	}
+
+	ensureInputRoots(config);
+
+	const results = exportTranslations(config, {
+		format: flags.format,
+		source: typeof flags.source === 'string' ? flags.source : undefined,
+		targets: typeof flags.target === 'string' ? flags.target.split(',') : undefined,
+		outputDir: typeof flags.output === 'string' ? flags.output : undefined,
+	});
+
+	results.forEach(({ target, filePath, units }) => {
+		console.log(`✓ Exported: ${target} → ${filePath} (${units} keys)`);
+	});
+
+	const [{ skipped, unsupported } = { skipped: [], unsupported: [] }] = results;
+	if (skipped.length > 0) {
+		console.warn(`\n⚠️  Skipped ${skipped.length} keys without source text: ${skipped.join(', ')}`);
+	}
+	if (unsupported.length > 0) {
+		console.warn(
+			`\n⚠️  Skipped ${unsupported.length} keys whose source value is not a text (unsupported): ${unsupported.join(', ')}`
+		);
+	}
+}
+
+/**
+ * Merge a translated interchange file into the sources (`i18n-gen import ja.xlf`)
+ */
+function runImport(config, filePath, flags) {
+	if (!filePath) {
+		throw new Error('Missing file to import: i18n-gen import <file.xlf|file.po|file.csv>');
+	}
+
+	ensureInputRoots(config);
+
+	const result = importTranslations(config, filePath, {
+		overwrite: Boolean(flags.overwrite),
+		target: typeof flags.target === 'string' ? flags.target : undefined,
 	});
 
-	console.log(`\n✨ Success! Generated ${totalGenerated} files`);
+	console.log(`📥 Importing "${result.target}" from ${filePath}\n`);
+
+	result.updated.forEach(({ file, keys }) => {
+		console.log(`✓ Updated: ${path.relative(process.cwd(), file)} (${keys} keys)`);
+	});
+
+	if (result.kept.length > 0) {
+		console.warn(
+			`\n⚠️  Kept ${result.kept.length} existing translations (use --overwrite to replace): ${result.kept.join(', ')}`
+		);
+	}
+
+	if (result.stale.length > 0) {
+		console.warn(
+			`\n⚠️  ${result.stale.length} keys no longer exist in the source files: ${result.stale.join(', ')}`
+		);
+	}
+
+	if (result.untranslated.length > 0) {
+		console.log(`\nℹ️  ${result.untranslated.length} keys are not translated yet`);
+	}
+
+	console.log(`\n✨ Imported ${result.imported} translations (${result.unchanged.length} unchanged)`);
+}
+
+/**
+ * Build combined sources from per-language locale folders
+ * (`i18n-gen merge --from=./public/locales`)
+ */
+function runMerge(config, flags) {
+	const from = typeof flags.from === 'string' ? flags.from : config.outputDir;
+	const to = typeof flags.to === 'string' ? flags.to : config.inputDir || getInputRoots(config)[0];
+
+	console.log(`🔀 Merging ${from}/<lang> into ${to}\n`);
+
+	const result = mergeTranslations(config, {
+		from,
+		to,
+		flat: Boolean(flags.flat),
+		force: Boolean(flags.force),
+	});
+
+	result.files.forEach((file) => console.log(`✓ Created: ${file}`));
+	result.skipped.forEach((file) => console.warn(`⚠️  Skipped existing file (use --force): ${file}`));
+
+	if (result.flattened.length > 0) {
+		console.warn(
+			`\n⚠️  Written in dot notation, a parent key is named like a language code:\n   ${result.flattened.join('\n   ')}`
+		);
+	}
+
+	printMissingReport(result.missing);
+
+	console.log(`\n✨ Merged ${result.files.length} files`);
 }
 
 // Load config
-async function loadConfig() {
+async function loadConfig({ silent = false } = {}) {
+	const log = silent ? () => {} : console.log;
+
 	const configPath = path.join(process.cwd(), 'i18n.config.js');
 
 	if (fs.existsSync(configPath)) {
-		console.log('📋 Loading config from i18n.config.js\n');
+		log('📋 Loading config from i18n.config.js\n');
 
 		// Try ESM import first, fallback to CJS require
 		try {
@@ -109,7 +434,7 @@ async function loadConfig() {
 	if (fs.existsSync(pkgPath)) {
 		const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
 		if (pkg.i18nGenerator) {
-			console.log('📋 Loading config from package.json\n');
+			log('📋 Loading config from package.json\n');
 			return pkg.i18nGenerator;
 		}
 	}
@@ -129,12 +454,16 @@ async function loadConfig() {
 // Parse CLI arguments
 const args = process.argv.slice(2);
 const flags = {};
+const commands = [];
 args.forEach((arg) => {
 	if (arg.startsWith('--')) {
 		const [key, value] = arg.slice(2).split('=');
 		flags[key] = value || true;
+	} else {
+		commands.push(arg);
 	}
 });
+const command = commands[0] || 'generate';
 
 // Show help
 if (flags.help || flags.h) {
@@ -145,13 +474,48 @@ Usage:
   i18n-gen                   Generate translations using config file
   i18n-gen --help           Show this help message
   i18n-gen --version        Show version
-  i18n-gen --watch          Watch mode (coming soon)
+  i18n-gen --watch          Regenerate on changes in the input files
+  i18n-gen --force          Regenerate every file, ignoring the cache
+  i18n-gen check            Validate source files without writing output
+                            --reporter=pretty|json|github (default: pretty)
+  i18n-gen scan [glob...]   Report missing, unused and dynamic keys of the code
+                            (default: scan option, or ./src/**/*)
+                            --reporter=pretty|json|github (default: pretty)
+  i18n-gen types            Write TypeScript declarations (path from emitTypes)
+  i18n-gen export           Write one interchange file per target language
+                            --format=xliff|po|csv (required)
+                            --source=en (default: referenceLanguage)
+                            --target=ja,ko (default: every other language)
+                            --output=./i18n-export
+  i18n-gen import <file>    Merge a translated .xlf/.po/.csv into the source files
+                            --overwrite (replace existing translations)
+                            --target=ja (default: language from the file)
+  i18n-gen merge            Combine <outputDir>/<lang>/*.json into source files
+                            --from=./public/locales (default: outputDir)
+                            --to=./src/translations (default: inputDir)
+                            --flat (dot-notation keys), --force (overwrite)
+  i18n-gen mark-reviewed [namespace[:key] ...]
+                            Accept stale translations after checking them (lockFile)
+                            --lang=vi (default: every language)
 
 Config file (i18n.config.js):
   module.exports = {
     languages: ['vi', 'en', 'zh'],
-    inputDir: './src/translations',
+    inputDir: './src/translations',          // or input: ['./src/features/*/translations/*.json']
     outputDir: './public/locales',
+    fallbackLanguage: 'en',                  // optional, or { 'pt-BR': ['pt', 'en'], default: 'en' }
+    missingReport: './i18n-missing.json',    // optional
+    failOnMissing: false,                    // optional, exit 1 if keys are missing
+    referenceLanguage: 'en',                 // optional, defaults to the first language
+    validatePlaceholders: 'warn',            // optional, 'warn' | 'error' | false
+    outputFormat: 'i18next',                 // optional, or 'icu' for plural and context messages
+    pseudoLanguages: ['en-XA', 'ar-XB'],     // optional, or true; derived from referenceLanguage
+    scan: ['./src/**/*.tsx'],                // optional, code read by i18n-gen scan (default: ./src/**/*)
+    emitTypes: './src/@types/i18next.d.ts',  // optional, or true for <inputDir>/i18next.d.ts
+    emitLoader: './src/locales/index.ts',    // optional, or { path, mode: 'lazy' | 'static' }
+    lockFile: './i18n.lock.json',            // optional, or true; detects stale translations
+    cache: true,                             // optional, false or a path (default: node_modules/.cache)
+    clean: true,                             // optional, delete outputs of removed files and languages
   };
 
 Or add to package.json:
@@ -166,6 +530,8 @@ Or add to package.json:
 Example:
   npm run i18n-gen
   pnpm i18n-gen
+  pnpm i18n-gen check --reporter=github
+  pnpm i18n-gen export --format=xliff --source=en --target=ja
 	`);
 	process.exit(0);
 }
@@ -180,8 +546,32 @@ if (flags.version || flags.v) {
 // Run generator
 (async () => {
 	try {
-		const config = await loadConfig();
-		generateTranslations(config);
+		const reporter = flags.reporter || 'pretty';
+		const config = await loadConfig({
+			silent: (command === 'check' || command === 'scan') && reporter !== 'pretty',
+		});
+
+		if (command === 'check') {
+			runCheck(config, reporter);
+		} else if (command === 'scan') {
+			runScan(config, commands.slice(1), reporter);
+		} else if (command === 'types') {
+			emitTypes(config);
+		} else if (command === 'export') {
+			runExport(config, flags);
+		} else if (command === 'import') {
+			runImport(config, commands[1], flags);
+		} else if (command === 'merge') {
+			runMerge(config, flags);
+		} else if (command === 'mark-reviewed') {
+			runMarkReviewed(config, commands.slice(1), flags);
+		} else if (command !== 'generate') {
+			throw new Error(`Unknown command "${command}". Run i18n-gen --help for usage.`);
+		} else if (flags.watch || flags.w) {
+			watchTranslations(config);
+		} else {
+			generateTranslations(config, { force: Boolean(flags.force) });
+		}
 	} catch (error) {
 		console.error('❌ Error:', error.message);
 		process.exit(1);
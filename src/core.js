@@ -0,0 +1,438 @@
+const path = require('path');
+const { getFallbackChain, addMissing, countMissing, writeMissingReport, printMissingReport } = require('./missing.js');
+const {
+	comparePlaceholders,
+	addMismatches,
+	countMismatches,
+	formatMismatch,
+	printPlaceholderReport,
+} = require('./placeholders.js');
+const { writeTypes } = require('./types.js');
+const { writeLoader } = require('./loader.js');
+const { writeLock, printStaleReport } = require('./lock.js');
+const { createCache } = require('./cache.js');
+const { cleanOutputs } = require('./clean.js');
+const { writeFileIfChanged } = require('./fs-utils.js');
+const { resolveInputFiles } = require('./inputs.js');
+const { readSource, SourceParseError } = require('./readers.js');
+const { walkTranslations, setIn } = require('./traverse.js');
+const { expandTranslation, printUnsupportedReport } = require('./plurals.js');
+const { pseudoLocalize } = require('./pseudo.js');
+const { resolveOptions, getOutputLanguages } = require('./options.js');
+
+/**
+ * Generation engine shared by the CLI, the bundler plugins and the worker
+ *
+ * - extract: one language of a source object
+ * - buildSource: every language of a source file, serialized, without writing
+ * - generateSource: buildSource, then write the outputs that changed
+ * - generate: every source file, with cache, clean, derived modules and reports
+ *
+ * Per-source summary (also stored by cache.js):
+ *   { keys: { [lang]: count }, missing: { [lang]: ['key.path'] }, mismatches: { [lang]: [mismatch] },
+ *     unsupported: { [lang]: ['key_=0'] } }
+ */
+
+/**
+ * Value of one leaf for `lang`: its translation, or the first fallback language that has one
+ * Any defined value is a translation, including '', 0, false, arrays and objects
+ * `options` are resolved options (see resolveOptions)
+ * @returns {{ value: *, missing: boolean, mismatch: Object|null, entries: Array, missingForms: string[],
+ *   unsupportedForms: string[] }}
+ * `value` is undefined when nothing applies; `entries` are the [keySuffix, value] pairs
+ * to write, plurals and contexts expanded, `missingForms` the suffixes of the plural forms
+ * the language lacks and `unsupportedForms` the ones left out (see plurals.js)
+ */
+function extractLeaf(leaf, lang, options, fallbacks = getFallbackChain(options.fallbackLanguage, lang)) {
+	const { referenceLanguage, validatePlaceholders, outputFormat, pseudoLanguages } = options;
+	const select = leaf._select;
+
+	if (pseudoLanguages.includes(lang)) {
+		return extractPseudoLeaf(leaf, lang, options);
+	}
+
+	if (leaf[lang] !== undefined) {
+		// An empty text is not translated yet: no placeholders to compare (as in check.js)
+		const isEmpty = typeof leaf[lang] === 'string' && leaf[lang].trim() === '';
+		const mismatch =
+			validatePlaceholders && lang !== referenceLanguage && !isEmpty
+				? comparePlaceholders(leaf[referenceLanguage], leaf[lang])
+				: null;
+		const { entries, missing, unsupported } = expandTranslation(leaf[lang], lang, { outputFormat, select });
+
+		return {
+			value: leaf[lang],
+			missing: false,
+			mismatch,
+			entries,
+			missingForms: missing,
+			unsupportedForms: unsupported,
+		};
+	}
+
+	const fallback = fallbacks.find((fb) => leaf[fb] !== undefined);
+
+	if (!fallback) {
+		return { value: undefined, missing: true, mismatch: null, entries: [], missingForms: [], unsupportedForms: [] };
+	}
+
+	// Forms of the fallback language, which is reported missing as a whole
+	// (its own issues are reported with the fallback language)
+	const { entries } = expandTranslation(leaf[fallback], fallback, { outputFormat, select });
+	return { value: leaf[fallback], missing: true, mismatch: null, entries, missingForms: [], unsupportedForms: [] };
+}
+
+/**
+ * Value of one leaf for a pseudo language, derived from the reference language
+ * (see pseudo.js): missing where the reference language is, with the same fallback
+ */
+function extractPseudoLeaf(leaf, lang, options) {
+	const { referenceLanguage, outputFormat } = options;
+	const reference = extractLeaf(leaf, referenceLanguage, options);
+
+	if (reference.value === undefined) {
+		return { ...reference, mismatch: null };
+	}
+
+	const value = pseudoLocalize(reference.value, lang);
+	// Plural forms of the reference language, with ICU messages built from the pseudo texts
+	const { entries } = expandTranslation(value, referenceLanguage, { outputFormat, select: leaf._select });
+
+	return { value, missing: reference.missing, mismatch: null, entries, missingForms: [], unsupportedForms: [] };
+}
+
+/**
+ * Extract one language from a source object (nested and/or dot-notation keys)
+ * Language-neutral constants are copied as is (see traverse.js)
+ * Keys without a value for `lang` are listed in `missing` and filled from `fallbackLanguage`;
+ * placeholders that differ from `referenceLanguage` are listed in `mismatches`
+ * Plural and context values are expanded for `outputFormat` (see plurals.js), forms
+ * the format cannot write are listed in `unsupported`;
+ * a language of `pseudoLanguages` is derived from `referenceLanguage` (see pseudo.js)
+ * options: { languages, fallbackLanguage, referenceLanguage, validatePlaceholders, outputFormat, pseudoLanguages }
+ * @returns {{ translations: Object, keys: number, missing: string[], mismatches: Object[], unsupported: string[] }}
+ */
+function extract(source, lang, options = {}) {
+	const resolved = resolveOptions(options);
+	const fallbacks = getFallbackChain(resolved.fallbackLanguage, lang);
+	const translations = {};
+	const missing = [];
+	const mismatches = [];
+	const unsupported = [];
+	let keys = 0;
+
+	walkTranslations(source, resolved.languages, {
+		branch(keyPath) {
+			setIn(translations, keyPath, {});
+		},
+		constant(value, keyPath) {
+			setIn(translations, keyPath, value);
+			keys += 1;
+		},
+		leaf(leaf, keyPath) {
+			const key = keyPath.join('.');
+			const { missing: isMissing, mismatch, entries, missingForms, unsupportedForms } = extractLeaf(
+				leaf,
+				lang,
+				resolved,
+				fallbacks
+			);
+			const name = keyPath[keyPath.length - 1];
+
+			entries.forEach(([suffix, value]) => {
+				setIn(translations, [...keyPath.slice(0, -1), `${name}${suffix}`], value);
+			});
+
+			if (isMissing) {
+				missing.push(key);
+			} else {
+				keys += 1;
+			}
+			missingForms.forEach((suffix) => missing.push(`${key}${suffix}`));
+			unsupportedForms.forEach((suffix) => unsupported.push(`${key}${suffix}`));
+
+			if (mismatch) {
+				mismatches.push({ key, ...mismatch });
+			}
+		},
+	});
+
+	return { translations, keys, missing, mismatches, unsupported };
+}
+
+/**
+ * Throw when a parsed source is not an object of translation keys
+ * (a root array or value: streamed sources are checked by stream-source.js)
+ */
+function validateSourceRoot(filePath, content) {
+	if (!content || typeof content !== 'object' || Array.isArray(content)) {
+		throw new SourceParseError(filePath, 'Source file must contain a JSON object');
+	}
+}
+
+/**
+ * Build every language of a source file without writing it
+ * `source` is a { filePath, inputFile } entry from resolveInputFiles;
+ * `content` is the parsed source, read from `filePath` when omitted
+ * @returns {{ lang, inputFile, file, content, keys, missing, mismatches, unsupported }[]}
+ * `file` is the output path relative to `outputDir`, `content` the serialized JSON
+ */
+function buildSource(config, source, content = readSource(source.filePath)) {
+	const options = resolveOptions(config);
+
+	validateSourceRoot(source.filePath, content);
+
+	return getOutputLanguages(options).map((lang) => {
+		const { translations, keys, missing, mismatches, unsupported } = extract(content, lang, options);
+
+		return {
+			lang,
+			inputFile: source.inputFile,
+			file: `${lang}/${source.inputFile}`,
+			content: JSON.stringify(translations, null, 2),
+			keys,
+			missing,
+			mismatches,
+			unsupported,
+		};
+	});
+}
+
+/**
+ * Write built outputs to `outputDir`, skipping files already up to date
+ * @returns {string[]} Paths of the written files
+ */
+function writeOutputs(config, outputs) {
+	return outputs
+		.map(({ file, content }) => {
+			const outputPath = path.join(config.outputDir, file);
+			return writeFileIfChanged(outputPath, content) ? outputPath : null;
+		})
+		.filter(Boolean);
+}
+
+/**
+ * Build and write every language of a source file
+ * @returns {{ written: string[], outputs: Object[] }}
+ */
+function generateSource(config, source) {
+	const outputs = buildSource(config, source);
+	return { written: writeOutputs(config, outputs), outputs };
+}
+
+/**
+ * Per-source summary of built outputs
+ */
+function summarize(outputs) {
+	return outputs.reduce(
+		(summary, { lang, keys, missing, mismatches, unsupported }) => {
+			summary.keys[lang] = keys;
+			if (missing.length > 0) {
+				summary.missing[lang] = missing;
+			}
+			if (mismatches.length > 0) {
+				summary.mismatches[lang] = mismatches;
+			}
+			if (unsupported.length > 0) {
+				summary.unsupported[lang] = unsupported;
+			}
+			return summary;
+		},
+		{ keys: {}, missing: {}, mismatches: {}, unsupported: {} }
+	);
+}
+
+function createResult() {
+	return {
+		sources: 0,
+		written: [],
+		skipped: [],
+		removed: [],
+		keys: {},
+		missing: {},
+		placeholders: {},
+		unsupported: {},
+		stale: {},
+		modules: {},
+		warnings: [],
+		errors: [],
+	};
+}
+
+/**
+ * Add a source summary to the run result
+ */
+function addSummary(result, inputFile, summary) {
+	result.sources += 1;
+
+	Object.keys(summary.keys).forEach((lang) => {
+		result.keys[lang] = (result.keys[lang] || 0) + summary.keys[lang];
+	});
+	Object.keys(summary.missing).forEach((lang) => {
+		addMissing(result.missing, lang, inputFile, summary.missing[lang]);
+	});
+	Object.keys(summary.mismatches).forEach((lang) => {
+		addMismatches(result.placeholders, lang, inputFile, summary.mismatches[lang]);
+	});
+	Object.keys(summary.unsupported).forEach((lang) => {
+		addMissing(result.unsupported, lang, inputFile, summary.unsupported[lang]);
+	});
+}
+
+/**
+ * Write the modules derived from the whole set of source files
+ * (`emitTypes`, `emitLoader` unless `loader` is false, `lockFile`)
+ * and record them and the stale translations in the result
+ */
+function emitModules(config, result, { loader = true } = {}) {
+	if (config.emitTypes) {
+		result.modules.types = writeTypes(config);
+	}
+
+	if (config.emitLoader && loader) {
+		result.modules.loader = writeLoader(config);
+	}
+
+	if (config.lockFile) {
+		const { lockPath, changed, stale } = writeLock(config);
+		result.modules.lock = { lockPath, changed };
+		result.stale = stale;
+	}
+}
+
+/**
+ * Fill `warnings` and `errors` from the reports and write `missingReport`
+ * Errors are the issues that fail generation (`failOnMissing`, `validatePlaceholders: 'error'`)
+ */
+function finishResult(config, result) {
+	const { validatePlaceholders } = resolveOptions(config);
+
+	Object.keys(result.placeholders).forEach((lang) => {
+		Object.keys(result.placeholders[lang]).forEach((inputFile) => {
+			result.placeholders[lang][inputFile].forEach((mismatch) => {
+				result.warnings.push(`Placeholder mismatch: ${lang} ${inputFile} ${mismatch.key}: ${formatMismatch(mismatch)}`);
+			});
+		});
+	});
+
+	Object.keys(result.unsupported).forEach((lang) => {
+		Object.keys(result.unsupported[lang]).forEach((inputFile) => {
+			result.warnings.push(
+				`Unsupported plural forms: ${lang} ${inputFile}: ${result.unsupported[lang][inputFile].join(', ')}`
+			);
+		});
+	});
+
+	Object.keys(result.stale).forEach((lang) => {
+		Object.keys(result.stale[lang]).forEach((inputFile) => {
+			result.warnings.push(`Stale translations: ${lang} ${inputFile}: ${result.stale[lang][inputFile].join(', ')}`);
+		});
+	});
+
+	if (config.missingReport) {
+		writeMissingReport(config.missingReport, result.missing);
+	}
+
+	const mismatches = countMismatches(result.placeholders);
+	if (validatePlaceholders === 'error' && mismatches > 0) {
+		result.errors.push(`${mismatches} placeholder mismatches found (validatePlaceholders is 'error')`);
+	}
+
+	const missing = countMissing(result.missing);
+	if (config.failOnMissing && missing > 0) {
+		result.errors.push(`${missing} translations are missing (failOnMissing is enabled)`);
+	}
+
+	return result;
+}
+
+/**
+ * Generate every source file of `input` / `inputDir`
+ * - unchanged sources are skipped unless `force` is set (`cache` option, see cache.js)
+ * - outputs of removed sources and languages are deleted (`clean` option, see clean.js)
+ * - types, loader and lockfile are written when configured
+ * With `write: false` nothing is written to `outputDir` and the built files are
+ * returned in `outputs` (cache, clean and the loader module are skipped).
+ * Issues never throw: they are returned in `errors`, see handleResult
+ * @returns {Object} Generation result (see GenerateResult in index.d.ts)
+ */
+function generate(options, { force = false, write = true, sources = resolveInputFiles(options) } = {}) {
+	const config = resolveOptions(options);
+	const result = createResult();
+
+	if (!write) {
+		result.outputs = [];
+
+		sources.forEach((source) => {
+			const outputs = buildSource(config, source);
+			result.outputs.push(...outputs.map(({ file, content }) => ({ file, content })));
+			addSummary(result, source.inputFile, summarize(outputs));
+		});
+
+		emitModules(config, result, { loader: false });
+		return finishResult(config, result);
+	}
+
+	const cache = createCache(config, { force });
+
+	sources.forEach((source) => {
+		const cached = cache.get(source);
+
+		if (cached) {
+			result.skipped.push(source.inputFile);
+			addSummary(result, source.inputFile, cached);
+			return;
+		}
+
+		const { written, outputs } = generateSource(config, source);
+		const summary = summarize(outputs);
+
+		result.written.push(...written);
+		addSummary(result, source.inputFile, summary);
+		cache.set(source, summary);
+	});
+
+	cache.save();
+
+	if (config.clean) {
+		result.removed = cleanOutputs(config, sources);
+	}
+
+	emitModules(config, result);
+	return finishResult(config, result);
+}
+
+/**
+ * Print the missing, placeholder, unsupported plural and stale reports of a result
+ * and throw its first error
+ */
+function handleResult(result, config) {
+	const { referenceLanguage } = resolveOptions(config);
+
+	printPlaceholderReport(result.placeholders, referenceLanguage);
+	printMissingReport(result.missing);
+	printUnsupportedReport(result.unsupported);
+	printStaleReport(result.stale, referenceLanguage);
+
+	if (result.errors.length > 0) {
+		throw new Error(result.errors.join('; '));
+	}
+}
+
+module.exports = {
+	extract,
+	buildSource,
+	writeOutputs,
+	generateSource,
+	generate,
+	handleResult,
+	// Building blocks for generators that process sources themselves (see i18n-generator-optimized.js)
+	resolveOptions,
+	validateSourceRoot,
+	extractLeaf,
+	summarize,
+	createResult,
+	addSummary,
+	emitModules,
+	finishResult,
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const i18nGenerator = require('./i18n-generator.js');
+const { resolveInputFiles, getInputRoots } = require('./inputs.js');
+
+/**
+ * esbuild plugin that writes the language files to `outputDir` when each build
+ * or rebuild starts. Generation errors are returned as build errors.
+ *
+ * Generated files imported by the bundle (e.g. through `emitLoader`) are loaded
+ * with their source file as watch file, so `esbuild --watch` / `ctx.watch()`
+ * rebuilds when a source changes.
+ *
+ * @example
+ * // build.js
+ * const { i18nGeneratorEsbuild } = require('@mg/i18n-generator');
+ *
+ * esbuild.build({
+ *   plugins: [
+ *     i18nGeneratorEsbuild({
+ *       languages: ['vi', 'en'],
+ *       inputDir: './src/translations',
+ *       outputDir: './src/locales',
+ *     }),
+ *   ],
+ * });
+ */
+function i18nGeneratorEsbuild(options) {
+	return {
+		name: 'i18n-generator',
+
+		setup(build) {
+			const generator = new i18nGenerator(options);
+			const outputDir = path.resolve(generator.outputDir);
+
+			build.onStart(() => {
+				try {
+					generator.generateAll();
+				} catch (error) {
+					return { errors: [{ text: `i18nGenerator Error: ${error.message}` }] };
+				}
+			});
+
+			build.onLoad({ filter: /\.json$/ }, (args) => {
+				if (!args.path.startsWith(outputDir + path.sep)) {
+					return;
+				}
+
+				// <outputDir>/<lang>/<inputFile>
+				const inputFile = path.relative(outputDir, args.path).split(path.sep).slice(1).join('/');
+				let source;
+
+				try {
+					source = resolveInputFiles(generator).find((entry) => entry.inputFile === inputFile);
+				} catch (error) {
+					// Namespace collisions are reported by onStart
+				}
+
+				return {
+					contents: fs.readFileSync(args.path, 'utf-8'),
+					loader: 'json',
+					watchFiles: source ? [path.resolve(source.filePath)] : [],
+					watchDirs: getInputRoots(generator).map((root) => path.resolve(root)),
+				};
+			});
+		},
+	};
+}
+
+module.exports = i18nGeneratorEsbuild;
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveInputFiles, getNamespace } = require('./inputs.js');
+const { readSource } = require('./readers.js');
+const { walkTranslations, getMetadata } = require('./traverse.js');
+const { getPluralCategories, isPluralValue, getContextSuffix } = require('./plurals.js');
+const { resolveOptions } = require('./options.js');
+
+/**
+ * Interchange files for translation agencies (`i18n-gen export`)
+ *
+ * One file per target language, each unit identified by namespace + key path:
+ * - po:    gettext PO, `msgctxt "namespace:key.path"`, notes as `#.` comments
+ * - xliff: XLIFF 2.0, one <file> per namespace, <unit name="key.path">
+ * - csv:   `namespace,key,<source>,<target>,notes` (UTF-8 with BOM for spreadsheets)
+ *
+ * Notes come from the `_`-prefixed metadata keys of a leaf (see traverse.js).
+ * Plural and context values (see plurals.js) give one unit per form, with the
+ * i18next key suffixes: `item_one`, `item_few`, `friend_male`, `friend_male_one`.
+ */
+
+const EXTENSIONS = { po: 'po', xliff: 'xlf', csv: 'csv' };
+
+const EXACT_VALUE = /^=\d+$/;
+
+function getIn(value, keyPath) {
+	return keyPath.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), value);
+}
+
+/**
+ * Forms of a plural value: the categories the target language uses, plus the
+ * `zero` and exact (`=0`) forms of the source; a category the source lacks gets
+ * the source `other` text
+ */
+function getPluralTexts(plural, target) {
+	const categories = getPluralCategories(target);
+	const extra = Object.keys(plural).filter(
+		(key) => !categories.includes(key) && (key === 'zero' || EXACT_VALUE.test(key))
+	);
+
+	return [...categories, ...extra].map((category) => ({
+		suffix: `_${category}`,
+		path: [category],
+		source: plural[category] !== undefined ? plural[category] : plural.other,
+	}));
+}
+
+/**
+ * Translatable texts of a leaf
+ * @returns {{ suffix: string, path: string[], source: *, target: * }[] | null}
+ * `suffix` is appended to the key, `path` leads from the language value to the text;
+ * null when the source value is neither a text, a plural value nor context values
+ */
+function getLeafTexts(value, source, target) {
+	const text = value[source];
+	let texts = null;
+
+	if (isPluralValue(text)) {
+		texts = getPluralTexts(text, target);
+	} else if (value._select && text && typeof text === 'object' && !Array.isArray(text)) {
+		texts = [];
+		Object.keys(text).forEach((context) => {
+			const suffix = getContextSuffix(context);
+
+			if (isPluralValue(text[context])) {
+				getPluralTexts(text[context], target).forEach((form) => {
+					texts.push({ ...form, suffix: `${suffix}${form.suffix}`, path: [context, ...form.path] });
+				});
+			} else {
+				texts.push({ suffix, path: [context], source: text[context] });
+			}
+		});
+	} else if (typeof text === 'string' || text === undefined) {
+		texts = [{ suffix: '', path: [], source: text }];
+	}
+
+	if (!texts || texts.some((form) => typeof form.source !== 'string' && form.source !== undefined)) {
+		return null;
+	}
+	return texts.map((form) => ({ ...form, target: getIn(value[target], form.path) }));
+}
+
+/**
+ * Collect one unit per text with a source text
+ * `skipped` lists the keys without source text, `unsupported` the ones whose source
+ * value is not a text (number, boolean, array, object), left out of the files
+ * @returns {{ units: Object[], skipped: string[], unsupported: string[] }}
+ */
+function collectUnits(config, source, target) {
+	const { languages } = resolveOptions(config);
+	const units = [];
+	const skipped = [];
+	const unsupported = [];
+
+	resolveInputFiles(config).forEach(({ filePath, inputFile }) => {
+		const namespace = getNamespace(inputFile);
+
+		walkTranslations(readSource(filePath), languages, {
+			leaf(value, keyPath) {
+				const texts = getLeafTexts(value, source, target);
+
+				if (!texts) {
+					unsupported.push(`${namespace}:${keyPath.join('.')}`);
+					return;
+				}
+
+				texts.forEach((form) => {
+					const key = `${keyPath.join('.')}${form.suffix}`;
+
+					if (!form.source) {
+						skipped.push(`${namespace}:${key}`);
+						return;
+					}
+
+					units.push({
+						namespace,
+						key,
+						file: path.relative(process.cwd(), filePath).split(path.sep).join('/'),
+						source: form.source,
+						target: typeof form.target === 'string' ? form.target : '',
+						notes: Object.entries(getMetadata(value)).map(([category, text]) => ({ category, text })),
+					});
+				});
+			},
+		});
+	});
+
+	return { units, skipped, unsupported };
+}
+
+function formatNote({ category, text }) {
+	return category === 'note' ? text : `${category}: ${text}`;
+}
+
+function escapePo(value) {
+	return value
+		.replace(/\\/g, '\\\\')
+		.replace(/"/g, '\\"')
+		.replace(/\n/g, '\\n')
+		.replace(/\r/g, '\\r')
+		.replace(/\t/g, '\\t');
+}
+
+function escapeXml(value) {
+	return value
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+function escapeCsv(value) {
+	return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+const formats = {
+	po(units, { source, target }) {
+		const header = [
+			'msgid ""',
+			'msgstr ""',
+			'"Content-Type: text/plain; charset=UTF-8\\n"',
+			`"Language: ${target}\\n"`,
+			`"X-Source-Language: ${source}\\n"`,
+			'"X-Generator: i18n-generator\\n"',
+		].join('\n');
+
+		const entries = units.map((unit) =>
+			[
+				...unit.notes.map((note) => `#. ${formatNote(note).replace(/\n/g, ' ')}`),
+				`#: ${unit.file}`,
+				`msgctxt "${escapePo(`${unit.namespace}:${unit.key}`)}"`,
+				`msgid "${escapePo(unit.source)}"`,
+				`msgstr "${escapePo(unit.target)}"`,
+			].join('\n')
+		);
+
+		return `${[header, ...entries].join('\n\n')}\n`;
+	},
+
+	xliff(units, { source, target }) {
+		const lines = [
+			'<?xml version="1.0" encoding="UTF-8"?>',
+			`<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${escapeXml(source)}" trgLang="${escapeXml(target)}">`,
+		];
+		const namespaces = [...new Set(units.map((unit) => unit.namespace))];
+
+		namespaces.forEach((namespace, fileIndex) => {
+			lines.push(`\t<file id="f${fileIndex + 1}" original="${escapeXml(namespace)}">`);
+
+			units
+				.filter((unit) => unit.namespace === namespace)
+				.forEach((unit, unitIndex) => {
+					lines.push(`\t\t<unit id="u${unitIndex + 1}" name="${escapeXml(unit.key)}">`);
+
+					if (unit.notes.length > 0) {
+						lines.push('\t\t\t<notes>');
+						unit.notes.forEach(({ category, text }) => {
+							lines.push(`\t\t\t\t<note category="${escapeXml(category)}">${escapeXml(text)}</note>`);
+						});
+						lines.push('\t\t\t</notes>');
+					}
+
+					lines.push(`\t\t\t<segment state="${unit.target ? 'translated' : 'initial'}">`);
+					lines.push(`\t\t\t\t<source>${escapeXml(unit.source)}</source>`);
+					if (unit.target) {
+						lines.push(`\t\t\t\t<target>${escapeXml(unit.target)}</target>`);
+					}
+					lines.push('\t\t\t</segment>', '\t\t</unit>');
+				});
+
+			lines.push('\t</file>');
+		});
+
+		lines.push('</xliff>');
+		return `${lines.join('\n')}\n`;
+	},
+
+	csv(units, { source, target }) {
+		const rows = [
+			['namespace', 'key', source, target, 'notes'],
+			...units.map((unit) => [
+				unit.namespace,
+				unit.key,
+				unit.source,
+				unit.target,
+				unit.notes.map(formatNote).join('; '),
+			]),
+		];
+
+		// The BOM makes spreadsheet applications read the file as UTF-8
+		return `\uFEFF${rows.map((row) => row.map(escapeCsv).join(',')).join('\r\n')}\r\n`;
+	},
+};
+
+/**
+ * Write one interchange file per target language
+ * options: { format, source, targets, outputDir }
+ * @returns {{ target: string, filePath: string, units: number, skipped: string[], unsupported: string[] }[]}
+ */
+function exportTranslations(config, options) {
+	const { languages, referenceLanguage } = resolveOptions(config);
+	const {
+		format,
+		source = referenceLanguage,
+		outputDir = './i18n-export',
+	} = options;
+	const targets = options.targets || languages.filter((lang) => lang !== source);
+
+	if (!formats[format]) {
+		throw new Error(`Unknown export format "${format}". Use one of: ${Object.keys(formats).join(', ')}`);
+	}
+
+	[source, ...targets].forEach((lang) => {
+		if (!languages.includes(lang)) {
+			throw new Error(`Language "${lang}" is not in languages (${languages.join(', ')})`);
+		}
+	});
+
+	fs.mkdirSync(outputDir, { recursive: true });
+
+	return targets.map((target) => {
+		const { units, skipped, unsupported } = collectUnits(config, source, target);
+		const filePath = path.join(outputDir, `${target}.${EXTENSIONS[format]}`);
+
+		fs.writeFileSync(filePath, formats[format](units, { source, target }));
+
+		return { target, filePath, units: units.length, skipped, unsupported };
+	});
+}
+
+module.exports = {
+	exportTranslations,
+	getLeafTexts,
+	formats,
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const HASH_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Write a file, creating its directory, unless it already has this exact content.
+ * Skipping identical writes keeps mtimes stable so watchers are not retriggered.
+ * @returns {boolean} Whether the file was written
+ */
+function writeFileIfChanged(filePath, content) {
+	if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf-8') === content) {
+		return false;
+	}
+
+	if (!fs.existsSync(path.dirname(filePath))) {
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	}
+
+	fs.writeFileSync(filePath, content);
+	return true;
+}
+
+/**
+ * SHA-1 of a file, read in chunks so large files are never held in memory
+ * @returns {string|null} Hex digest, null when the file does not exist
+ */
+function hashFile(filePath) {
+	let fd;
+
+	try {
+		fd = fs.openSync(filePath, 'r');
+	} catch (error) {
+		if (error.code === 'ENOENT') {
+			return null;
+		}
+		throw error;
+	}
+
+	try {
+		const hash = crypto.createHash('sha1');
+		const buffer = Buffer.alloc(HASH_CHUNK_SIZE);
+		let bytesRead;
+
+		while ((bytesRead = fs.readSync(fd, buffer, 0, HASH_CHUNK_SIZE, null)) > 0) {
+			hash.update(buffer.subarray(0, bytesRead));
+		}
+		return hash.digest('hex');
+	} finally {
+		fs.closeSync(fd);
+	}
+}
+
+module.exports = {
+	writeFileIfChanged,
+	hashFile,
+};
@@ -1,9 +1,26 @@
 const fs = require('fs');
 const path = require('path');
-const { Worker } = require('worker_threads');
 const os = require('os');
-const stream = require('stream');
-const { pipeline } = require('stream/promises');
+const {
+	resolveOptions,
+	validateSourceRoot,
+	extract,
+	summarize,
+	createResult,
+	addSummary,
+	emitModules,
+	finishResult,
+	handleResult,
+} = require('./core.js');
+const { createCache } = require('./cache.js');
+const { cleanOutputs } = require('./clean.js');
+const { streamSource } = require('./stream-source.js');
+const WorkerPool = require('./worker-pool.js');
+const { createAbortError } = WorkerPool;
+const { getRunMode, createRunCheck } = require('./run-mode.js');
+const { getOutputLanguages } = require('./options.js');
+const { resolveInputFiles } = require('./inputs.js');
+const { readSource } = require('./readers.js');
 
 /**
  * High-performance i18n generator optimized for large files (100k+ lines)
@@ -15,110 +32,57 @@ const { pipeline } = require('stream/promises');
  */
 class i18nGeneratorOptimized {
 	constructor(options) {
-		this.languages = options.languages || ['vi', 'en'];
-		this.languageSet = new Set(this.languages); // O(1) lookup
-		this.inputDir = options.inputDir;
-		this.outputDir = options.outputDir;
+		// inputDir / input, outputDir and the generation options, with their defaults (see core.js)
+		Object.assign(this, resolveOptions(options));
 
-		// Worker thread pool configuration
+		// Worker thread pool configuration, started on first use (see worker-pool.js)
 		this.maxWorkers = options.maxWorkers || Math.max(2, os.cpus().length - 1);
-		this.workers = [];
-		this.workerQueue = [];
-		this.activeWorkers = 0;
+		this.pool = null;
 
 		// Performance options
 		this.chunkSize = options.chunkSize || 1000; // Process 1000 keys at a time
 		this.useStreaming = options.useStreaming !== false; // Default true
+		// JSON sources from this size (bytes) are streamed instead of parsed at once
+		this.streamingThreshold = options.streamingThreshold === undefined
+			? 10 * 1024 * 1024
+			: options.streamingThreshold;
 		this.useWorkers = options.useWorkers !== false; // Default true
 
-		this.shouldRun = process.env.npm_lifecycle_event === 'i18n-generator';
+		// When the webpack plugin generates (see run-mode.js)
+		this.mode = getRunMode(options.mode);
+		this.shouldRun = createRunCheck(this.mode, 'i18nGeneratorOptimized');
 	}
 
 	/**
 	 * OPTIMIZATION 1: Streaming JSON Parser
-	 * Instead of loading entire file into memory, process it incrementally
+	 * JSON sources of `streamingThreshold` bytes or more are parsed incrementally
+	 * and each language is written as its keys are read (see stream-source.js),
+	 * so the source is never held in memory
 	 */
-	async parseJSONStream(filePath) {
-		return new Promise((resolve, reject) => {
-			const chunks = [];
-
-			// For very large files, we'd use a proper streaming JSON parser
-			// like 'stream-json' or 'JSONStream', but for now this hybrid approach:
-			const readStream = fs.createReadStream(filePath, {
-				encoding: 'utf8',
-				highWaterMark: 64 * 1024 // 64KB chunks
-			});
-
-			readStream.on('data', chunk => chunks.push(chunk));
-			readStream.on('end', () => {
-				try {
-					const data = JSON.parse(chunks.join(''));
-					resolve(data);
-				} catch (error) {
-					reject(error);
-				}
-			});
-			readStream.on('error', reject);
-		});
+	isStreamed(filePath, size) {
+		return this.useStreaming && path.extname(filePath) === '.json' && size >= this.streamingThreshold;
 	}
 
 	/**
-	 * OPTIMIZATION 2: Iterative extraction with early exit
-	 * Avoid deep recursion for very nested structures
-	 */
-	extractTranslationsIterative(obj, lang) {
-		const result = {};
-		const stack = [{ source: obj, target: result, path: [] }];
-
-		while (stack.length > 0) {
-			const { source, target, path } = stack.pop();
-
-			for (const key of Object.keys(source)) {
-				const value = source[key];
-
-				// Fast path: primitive values
-				if (value === null || typeof value !== 'object' || Array.isArray(value)) {
-					continue;
-				}
-
-				// Check if this is a translation leaf
-				if (value[lang]) {
-					target[key] = value[lang];
-				} else {
-					// Check if any child has language keys
-					const hasLangKeys = Object.keys(value).some(k => this.languageSet.has(k));
-
-					if (!hasLangKeys) {
-						// It's a nested structure, add to stack
-						target[key] = {};
-						stack.push({
-							source: value,
-							target: target[key],
-							path: [...path, key]
-						});
-					}
-				}
-			}
-		}
-
-		return result;
-	}
-
-	/**
-	 * OPTIMIZATION 3: Batch processing with chunks
-	 * Process large objects in chunks to avoid blocking event loop
+	 * OPTIMIZATION 2: Batch processing with chunks
+	 * Extract top-level keys in chunks (see extract in core.js) to avoid blocking event loop
+	 * @returns {Promise<{ translations: Object, keys: number, missing: string[], mismatches: Object[],
+	 *   unsupported: string[] }>}
 	 */
 	async extractTranslationsChunked(obj, lang) {
-		const result = {};
+		const combined = { translations: {}, keys: 0, missing: [], mismatches: [], unsupported: [] };
 		const entries = Object.entries(obj);
 
 		// Process in chunks
 		for (let i = 0; i < entries.length; i += this.chunkSize) {
-			const chunk = entries.slice(i, i + this.chunkSize);
-			const chunkObj = Object.fromEntries(chunk);
+			const chunk = Object.fromEntries(entries.slice(i, i + this.chunkSize));
+			const { translations, keys, missing, mismatches, unsupported } = extract(chunk, lang, this);
 
-			const chunkResult = this.extractTranslationsIterative(chunkObj, lang);
-			Object.assign(result, chunkResult);
+			Object.assign(combined.translations, translations);
+			combined.keys += keys;
+			combined.missing.push(...missing);
+			combined.mismatches.push(...mismatches);
+			combined.unsupported.push(...unsupported);
 
 			// Yield to event loop every chunk
 			if (i + this.chunkSize < entries.length) {
@@ -126,67 +90,91 @@ class i18nGeneratorOptimized {
 			}
 		}
 
-		return result;
+		return combined;
 	}
 
 	/**
 	 * OPTIMIZATION 4: Worker thread pool
-	 * Process multiple files in parallel using worker threads
+	 * Process files on `maxWorkers` long-lived worker threads, reused across files and runs
+	 * Errors thrown in a worker (e.g. invalid JSON) reject with the original message
 	 */
-	async runWorker(workerData) {
-		return new Promise((resolve, reject) => {
-			const worker = new Worker(path.join(__dirname, 'worker.js'), {
-				workerData
-			});
+	async runWorker(task, { signal } = {}) {
+		if (!this.pool) {
+			this.pool = new WorkerPool(path.join(__dirname, 'worker.js'), this.maxWorkers);
+		}
 
-			worker.on('message', resolve);
-			worker.on('error', reject);
-			worker.on('exit', (code) => {
-				if (code !== 0) {
-					reject(new Error(`Worker stopped with exit code ${code}`));
-				}
-			});
-		});
+		return this.pool.run(task, { signal });
+	}
+
+	/**
+	 * Terminate the worker threads (they are restarted by the next run)
+	 */
+	async close() {
+		if (this.pool) {
+			const { pool } = this;
+			this.pool = null;
+			await pool.destroy();
+		}
 	}
 
-	async processFileWithWorker(inputFile) {
-		const filePath = path.join(this.inputDir, inputFile);
+	async processFileWithWorker(source, { signal } = {}) {
+		const { filePath, inputFile } = source;
 
 		// If file is small, process in main thread
 		const stats = fs.statSync(filePath);
 		const fileSizeKB = stats.size / 1024;
 
-		if (fileSizeKB < 100) { // Less than 100KB, use main thread
-			return this.processFileMainThread(inputFile);
+		// Less than 100KB, use main thread; streamed files are read asynchronously there too
+		if (fileSizeKB < 100 || this.isStreamed(filePath, stats.size)) {
+			return this.processFileMainThread(source);
 		}
 
 		// Large file: use worker thread
-		const workerData = {
-			filePath,
-			inputFile,
-			outputDir: this.outputDir,
-			languages: this.languages,
-			chunkSize: this.chunkSize
+		const task = {
+			source: { filePath, inputFile },
+			config: {
+				languages: this.languages,
+				fallbackLanguage: this.fallbackLanguage,
+				referenceLanguage: this.referenceLanguage,
+				validatePlaceholders: this.validatePlaceholders,
+				outputFormat: this.outputFormat,
+				pseudoLanguages: this.pseudoLanguages
+			}
 		};
 
-		return this.runWorker(workerData);
+		return this.runWorker(task, { signal });
 	}
 
-	async processFileMainThread(inputFile) {
-		const filePath = path.join(this.inputDir, inputFile);
+	async processFileMainThread(source) {
+		const { filePath, inputFile } = source;
+
+		// Stream very large JSON files straight to the outputs
+		if (this.isStreamed(filePath, fs.statSync(filePath).size)) {
+			return streamSource(this, source);
+		}
 
-		// Use streaming for very large files
-		const content = this.useStreaming
-			? await this.parseJSONStream(filePath)
-			: JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+		const content = readSource(filePath);
+		validateSourceRoot(filePath, content);
 
 		const results = [];
 
-		for (const lang of this.languages) {
-			const outputContent = await this.extractTranslationsChunked(content, lang);
-			const outputPath = path.join(this.outputDir, lang, inputFile);
+		// Same shape as buildSource in core.js
+		for (const lang of getOutputLanguages(this)) {
+			const { translations, keys, missing, mismatches, unsupported } = await this.extractTranslationsChunked(
+				content,
+				lang
+			);
 
-			results.push({ lang, outputPath, outputContent });
+			results.push({
+				lang,
+				inputFile,
+				file: `${lang}/${inputFile}`,
+				content: JSON.stringify(translations, null, 2),
+				keys,
+				missing,
+				mismatches,
+				unsupported
+			});
 		}
 
 		return results;
@@ -194,86 +182,177 @@ class i18nGeneratorOptimized {
 
 	/**
 	 * OPTIMIZATION 5: Batch file writes
-	 * Write all files at once using async operations
+	 * Write all files at once using async operations,
+	 * skipping outputs whose content is already up to date
+	 * @returns {Promise<string[]>} Paths of the written files
 	 */
 	async writeFilesInBatch(fileResults) {
-		const writePromises = [];
-
-		for (const result of fileResults) {
-			const { outputPath, outputContent } = result;
+		const writePromises = fileResults.map(async ({ file, content, changed }) => {
+			const outputPath = path.join(this.outputDir, file);
 
-			// Ensure directory exists
-			const dir = path.dirname(outputPath);
-			if (!fs.existsSync(dir)) {
-				fs.mkdirSync(dir, { recursive: true });
+			// Streamed outputs are already written (see stream-source.js)
+			if (content === undefined) {
+				return changed ? outputPath : null;
 			}
+			const existing = await fs.promises.readFile(outputPath, 'utf-8').catch(() => null);
 
-			// Use async write for better performance
-			const writePromise = fs.promises.writeFile(
-				outputPath,
-				JSON.stringify(outputContent, null, 2)
-			);
+			if (existing === content) {
+				return null;
+			}
 
-			writePromises.push(writePromise);
-		}
+			await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+			await fs.promises.writeFile(outputPath, content);
+			return outputPath;
+		});
 
-		await Promise.all(writePromises);
+		const written = await Promise.all(writePromises);
+		return written.filter(Boolean);
 	}
 
 	/**
 	 * OPTIMIZATION 6: Parallel file processing with concurrency limit
+	 * Each slot takes the next file as soon as its current one is done, so a slow
+	 * file does not hold back the others. The first error stops taking new files;
+	 * `signal` (AbortSignal) cancels the run, including files running on workers.
 	 */
-	async processFilesInParallel(inputFiles) {
-		const concurrency = this.useWorkers ? this.maxWorkers : 4;
-		const results = [];
+	async processFilesInParallel(sources, { signal } = {}) {
+		const concurrency = Math.min(this.useWorkers ? this.maxWorkers : 4, sources.length);
+		const results = new Array(sources.length);
+		let next = 0;
+		let done = 0;
+		let failed = false;
+
+		const processNext = async () => {
+			while (next < sources.length && !failed) {
+				if (signal && signal.aborted) {
+					throw createAbortError(signal);
+				}
 
-		// Process files in parallel with concurrency limit
-		for (let i = 0; i < inputFiles.length; i += concurrency) {
-			const batch = inputFiles.slice(i, i + concurrency);
+				const index = next++;
 
-			const batchPromises = batch.map(file =>
-				this.useWorkers
-					? this.processFileWithWorker(file)
-					: this.processFileMainThread(file)
-			);
+				try {
+					results[index] = this.useWorkers
+						? await this.processFileWithWorker(sources[index], { signal })
+						: await this.processFileMainThread(sources[index]);
+				} catch (error) {
+					failed = true;
+					throw error;
+				}
+
+				done += 1;
+				if (done % concurrency === 0 || done === sources.length) {
+					console.log(`Processed ${done}/${sources.length} files`);
+				}
+			}
+		};
 
-			const batchResults = await Promise.all(batchPromises);
-			results.push(...batchResults.flat());
+		await Promise.all(Array.from({ length: concurrency }, processNext));
+		return results.flat();
+	}
+
+	/**
+	 * Process and write the sources that changed since the last run (see cache.js)
+	 * Cached sources are added to the result with their stored issues
+	 * Orphaned outputs are deleted afterwards when `clean` is set (see clean.js)
+	 * Nothing is written when `signal` aborts before the sources are processed
+	 * @returns {Promise<{ result: Object, processed: number }>} Generation result (see core.js)
+	 */
+	async processChangedSources(sources, { force = false, signal } = {}) {
+		const cache = createCache(this, { force });
+		const result = createResult();
+
+		const changed = sources.filter((source) => {
+			const cached = cache.get(source);
 
-			console.log(`Processed ${Math.min(i + concurrency, inputFiles.length)}/${inputFiles.length} files`);
+			if (cached) {
+				result.skipped.push(source.inputFile);
+				addSummary(result, source.inputFile, cached);
+			}
+
+			return !cached;
+		});
+
+		if (changed.length < sources.length) {
+			console.log(`♻️  Unchanged: ${sources.length - changed.length} files (cached)`);
 		}
 
-		return results;
+		const outputs = await this.processFilesInParallel(changed, { signal });
+		result.written = await this.writeFilesInBatch(outputs);
+
+		changed.forEach((source) => {
+			const summary = summarize(outputs.filter((output) => output.inputFile === source.inputFile));
+
+			addSummary(result, source.inputFile, summary);
+			cache.set(source, summary);
+		});
+		cache.save();
+
+		if (this.clean) {
+			result.removed = cleanOutputs(this, sources);
+			result.removed.forEach((file) => console.log(`🧹 Removed: ${file}`));
+		}
+
+		return { result, processed: outputs.length };
 	}
 
-	async apply(compiler) {
-		if (!this.shouldRun) {
-			return;
+	/**
+	 * Print the reports of a generation result
+	 * and fail if `failOnMissing` / `validatePlaceholders: 'error'` is set
+	 */
+	reportIssues(result) {
+		handleResult(finishResult(this, result), this);
+		return result;
+	}
+
+	/**
+	 * Write TypeScript declarations, the loader module and the lockfile
+	 * when `emitTypes` / `emitLoader` / `lockFile` are set
+	 */
+	emitModules(result) {
+		emitModules(this, result);
+
+		const { types, loader, lock } = result.modules;
+
+		if (types) {
+			console.log(`🔷 Types: ${types.typesPath}${types.changed ? '' : ' (unchanged)'}`);
+		}
+
+		if (loader) {
+			console.log(`📦 Loader: ${loader.loaderPath}${loader.changed ? '' : ' (unchanged)'}`);
 		}
 
+		if (lock) {
+			console.log(`🔒 Lock: ${lock.lockPath}${lock.changed ? '' : ' (unchanged)'}`);
+		}
+	}
+
+	async apply(compiler) {
 		compiler.hooks.beforeCompile.tapAsync('i18nGeneratorOptimized', async (params, callback) => {
+			if (!this.shouldRun(compiler)) {
+				callback();
+				return;
+			}
+
 			try {
 				const startTime = Date.now();
 
 				// Get all input files
-				const inputFiles = fs
-					.readdirSync(this.inputDir)
-					.filter(file => file.endsWith('.json'));
+				const sources = resolveInputFiles(this);
 
-				console.log(`\n🚀 Processing ${inputFiles.length} files with ${this.languages.length} languages...`);
+				console.log(`\n🚀 Processing ${sources.length} files with ${getOutputLanguages(this).length} languages...`);
 				console.log(`⚙️  Workers: ${this.useWorkers ? this.maxWorkers : 'disabled'}`);
 				console.log(`📦 Chunk size: ${this.chunkSize}`);
 				console.log(`🌊 Streaming: ${this.useStreaming ? 'enabled' : 'disabled'}\n`);
 
-				// Process all files in parallel
-				const results = await this.processFilesInParallel(inputFiles);
-
-				// Batch write all files
-				await this.writeFilesInBatch(results);
+				// Process changed files in parallel and batch write them
+				const { result, processed } = await this.processChangedSources(sources);
+				this.emitModules(result);
 
 				const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-				console.log(`\n✅ Done! Processed ${results.length} files in ${duration}s`);
-				console.log(`⚡ Throughput: ${(results.length / duration).toFixed(2)} files/sec\n`);
+				console.log(`\n✅ Done! Processed ${processed} files in ${duration}s`);
+				console.log(`⚡ Throughput: ${(processed / duration).toFixed(2)} files/sec\n`);
+
+				this.reportIssues(result);
 
 				callback();
 			} catch (error) {
@@ -281,32 +360,42 @@ class i18nGeneratorOptimized {
 				callback(error);
 			}
 		});
+
+		compiler.hooks.shutdown.tapPromise('i18nGeneratorOptimized', () => this.close());
 	}
 
 	/**
 	 * Standalone method for CLI usage (not webpack-dependent)
+	 * `force` regenerates every file, ignoring the cache
+	 * `signal` (AbortSignal) cancels the run; call close() to stop the worker threads
 	 */
-	async run() {
+	async run({ force = false, signal } = {}) {
 		try {
 			const startTime = Date.now();
 
-			const inputFiles = fs
-				.readdirSync(this.inputDir)
-				.filter(file => file.endsWith('.json'));
+			const sources = resolveInputFiles(this);
 
-			console.log(`\n🚀 Processing ${inputFiles.length} files with ${this.languages.length} languages...`);
+			console.log(`\n🚀 Processing ${sources.length} files with ${getOutputLanguages(this).length} languages...`);
 			console.log(`⚙️  Workers: ${this.useWorkers ? this.maxWorkers : 'disabled'}`);
 			console.log(`📦 Chunk size: ${this.chunkSize}`);
 			console.log(`🌊 Streaming: ${this.useStreaming ? 'enabled' : 'disabled'}\n`);
 
-			const results = await this.processFilesInParallel(inputFiles);
-			await this.writeFilesInBatch(results);
+			const { result, processed } = await this.processChangedSources(sources, { force, signal });
+			this.emitModules(result);
 
 			const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-			console.log(`\n✅ Done! Processed ${results.length} files in ${duration}s`);
-			console.log(`⚡ Throughput: ${(results.length / duration).toFixed(2)} files/sec\n`);
-
-			return { success: true, filesProcessed: results.length, duration };
+			console.log(`\n✅ Done! Processed ${processed} files in ${duration}s`);
+			console.log(`⚡ Throughput: ${(processed / duration).toFixed(2)} files/sec\n`);
+
+			this.reportIssues(result);
+
+			return {
+				...result,
+				success: true,
+				filesProcessed: processed,
+				filesWritten: result.written.length,
+				duration
+			};
 		} catch (error) {
 			console.error('Error:', error);
 			throw error;
@@ -1,85 +1,171 @@
-const fs = require('fs');
 const path = require('path');
+const { addMissing } = require('./missing.js');
+const { addMismatches } = require('./placeholders.js');
+const { resolveOptions, extract, buildSource, generateSource, generate, handleResult } = require('./core.js');
+const { getRunMode, createRunCheck } = require('./run-mode.js');
+const { resolveInputFiles, getInputRoots } = require('./inputs.js');
 
 class i18nGenerator {
 	constructor(options) {
-		this.languages = options.languages || ['vi', 'en'];
-		this.inputDir = options.inputDir;
-		this.outputDir = options.outputDir;
+		// inputDir / input, outputDir and the generation options, with their defaults (see core.js)
+		Object.assign(this, resolveOptions(options));
 
-		// Check the environment variable directly within the plugin
-		this.shouldRun = process.env.npm_lifecycle_event === 'i18n-generator';
+		// Webpack output: 'disk' writes to outputDir, 'assets' adds the files to the compilation
+		this.emit = options.emit || 'disk';
+
+		// When the webpack plugin generates: 'always', 'build-only', 'watch', 'script:<name>' or 'env:<NAME>'
+		this.mode = getRunMode(options.mode);
+		this.shouldRun = createRunCheck(this.mode, 'i18nGenerator');
 	}
 
-/**
+	/**
 	 * Extract translations for a specific language from nested object
 	 * Supports both flat keys (e.g., "key") and dot notation keys (e.g., "booking.summary.text")
+	 * Key paths without a value for `lang` are pushed to `missing` and filled from the fallback chain
+	 * Placeholders that differ from the reference language are pushed to `mismatches`
+	 * A pseudo language (`pseudoLanguages`) is derived from the reference language
+	 * (see extract in core.js)
 	 */
-	extractTranslations(obj, lang) {
-		const result = {};
-
-		const processObject = (source, target) => {
-			Object.keys(source).forEach((key) => {
-				const value = source[key];
-
-				// Check if this is a translation object (has language keys)
-				if (value && typeof value === 'object' && !Array.isArray(value)) {
-					// If it has the language key, it's a translation leaf
-					if (value[lang]) {
-						target[key] = value[lang];
-					} else {
-						// It's a nested structure, recurse
-						const hasLangKeys = Object.keys(value).some((k) =>
-							this.languages.includes(k)
-						);
-
-						if (!hasLangKeys) {
-							// This is a nested object, not a translation
-							target[key] = {};
-							processObject(value, target[key]);
-						}
-					}
-				}
-			});
-		};
+	extractTranslations(obj, lang, missing = [], mismatches = []) {
+		const result = extract(obj, lang, this);
+
+		missing.push(...result.missing);
+		mismatches.push(...result.mismatches);
+		return result.translations;
+	}
+
+	/**
+	 * Build the output files of a single source file in every language without writing them
+	 * `source` is a { filePath, inputFile } entry from resolveInputFiles
+	 * Missing keys are collected into `report` (see missing.js)
+	 * and placeholder mismatches into `placeholderReport` (see placeholders.js)
+	 * @returns {{ file: string, content: string }[]} `file` is relative to `outputDir`
+	 */
+	buildFile(source, report = {}, placeholderReport = {}) {
+		return buildSource(this, source).map(({ lang, file, content, missing, mismatches }) => {
+			addMissing(report, lang, source.inputFile, missing);
+			addMismatches(placeholderReport, lang, source.inputFile, mismatches);
+
+			return { file, content };
+		});
+	}
+
+	/**
+	 * Generate output files for a single source file in every language
+	 * Outputs that are already up to date are not rewritten
+	 * @returns {string[]} Paths of the written files
+	 */
+	generateFile(source, report = {}, placeholderReport = {}) {
+		const { written, outputs } = generateSource(this, source);
+
+		outputs.forEach(({ lang, missing, mismatches }) => {
+			addMissing(report, lang, source.inputFile, missing);
+			addMismatches(placeholderReport, lang, source.inputFile, mismatches);
+		});
+
+		return written;
+	}
 
-		processObject(obj, result);
+	/**
+	 * Generate output files for every source file in `input` / `inputDir`
+	 * and report missing translations and placeholder mismatches
+	 * Also writes the TypeScript declarations, loader module and lockfile when
+	 * `emitTypes` / `emitLoader` / `lockFile` are set
+	 * Unchanged sources are skipped unless `force` is set (see cache.js)
+	 * and orphaned outputs are deleted when `clean` is set (see clean.js)
+	 * @returns {Object} Generation result (see generate in core.js)
+	 */
+	generateAll({ force = false } = {}) {
+		const result = generate(this, { force });
+
+		handleResult(result, this);
 		return result;
 	}
-	apply(compiler) {
-		// If shouldRun is false, do nothing
-		if (!this.shouldRun) {
-			return;
+
+	/**
+	 * Build the output files of every source file without writing them
+	 * Writes the TypeScript declarations and lockfile when `emitTypes` / `lockFile` are set,
+	 * prints the reports and throws like generateAll when they fail generation
+	 * @returns {Object} Generation result with the built files in `outputs`
+	 */
+	buildAll(sources = resolveInputFiles(this)) {
+		const result = generate(this, { write: false, sources });
+
+		handleResult(result, this);
+		return result;
+	}
+
+	/**
+	 * Directory of the emitted assets, relative to the bundle output directory `outputPath`
+	 * A relative `outputDir` is used as is, an absolute one must be inside `outputPath`
+	 */
+	getAssetDir(outputPath) {
+		const outputDir = this.outputDir || 'locales';
+
+		if (!path.isAbsolute(outputDir)) {
+			return path.posix.normalize(outputDir.split(path.sep).join('/'));
 		}
 
-		compiler.hooks.beforeCompile.tapAsync('i18nGenerator', (params, callback) => {
-			try {
-				const inputFiles = fs
-					.readdirSync(this.inputDir)
-					.filter((file) => file.endsWith('.json'));
+		const relative = outputPath ? path.relative(outputPath, outputDir) : '..';
 
-				inputFiles.forEach((inputFile) => {
-					const filePath = path.join(this.inputDir, inputFile);
-					const fileContent = fs.readFileSync(filePath, 'utf-8');
-					const content = JSON.parse(fileContent);
+		if (relative.startsWith('..') || path.isAbsolute(relative)) {
+			throw new Error(
+				`outputDir ${outputDir} must be relative to or inside the output directory with emit: 'assets'`
+			);
+		}
 
-					this.languages.forEach((lang) => {
-						const outputContent = this.extractTranslations(content, lang);
+		return relative.split(path.sep).join('/');
+	}
+
+	/**
+	 * Add the generated files of every source file to the compilation as assets
+	 * Sources and input directories become dependencies, so watch mode rebuilds on change
+	 */
+	emitAssets(compilation, compiler) {
+		const { sources: webpackSources, WebpackError } = compiler.webpack;
+		const assetDir = this.getAssetDir(compiler.options.output.path);
+
+		getInputRoots(this).forEach((root) => compilation.contextDependencies.add(path.resolve(root)));
+
+		const sources = resolveInputFiles(this);
+		sources.forEach(({ filePath }) => compilation.fileDependencies.add(path.resolve(filePath)));
+
+		if (this.emitLoader) {
+			compilation.warnings.push(
+				new WebpackError("i18nGenerator: emitLoader imports the files from disk and is ignored with emit: 'assets'")
+			);
+		}
+
+		const result = this.buildAll(sources);
 
-						const outputPath = path.join(this.outputDir, lang, inputFile);
+		result.outputs.forEach(({ file, content }) => {
+			const name = path.posix.join(assetDir, file);
+			const asset = new webpackSources.RawSource(content);
 
-						// Ensure directory exists
-						if (!fs.existsSync(path.dirname(outputPath))) {
-							fs.mkdirSync(path.dirname(outputPath), { recursive: true });
-						}
+			if (compilation.getAsset(name)) {
+				compilation.updateAsset(name, asset);
+			} else {
+				compilation.emitAsset(name, asset);
+			}
+		});
+
+		return result;
+	}
+
+	apply(compiler) {
+		if (this.emit === 'assets') {
+			this.applyAssets(compiler);
+			return;
+		}
 
-						fs.writeFileSync(
-							outputPath,
-							JSON.stringify(outputContent, null, 2)
-						);
-					});
-				});
+		compiler.hooks.beforeCompile.tapAsync('i18nGenerator', (params, callback) => {
+			if (!this.shouldRun(compiler)) {
+				callback();
+				return;
+			}
 
+			try {
+				this.generateAll();
 				callback();
 			} catch (error) {
 				console.error('i18nGenerator Error:', error);
@@ -87,6 +173,30 @@ class i18nGenerator {
 			}
 		});
 	}
+
+	/**
+	 * `emit: 'assets'`: add the generated files to every compilation `mode` allows
+	 */
+	applyAssets(compiler) {
+		const { Compilation, WebpackError } = compiler.webpack;
+
+		compiler.hooks.thisCompilation.tap('i18nGenerator', (compilation) => {
+			if (!this.shouldRun(compiler)) {
+				return;
+			}
+
+			compilation.hooks.processAssets.tap(
+				{ name: 'i18nGenerator', stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL },
+				() => {
+					try {
+						this.emitAssets(compilation, compiler);
+					} catch (error) {
+						compilation.errors.push(new WebpackError(`i18nGenerator: ${error.message}`));
+					}
+				}
+			);
+		});
+	}
 }
 
 module.exports = i18nGenerator;
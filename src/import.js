@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveInputFiles, getNamespace } = require('./inputs.js');
+const { readSource } = require('./readers.js');
+const { walkTranslations } = require('./traverse.js');
+const { updateSource, isWritableSource } = require('./writers.js');
+const { getLeafTexts } = require('./export.js');
+const { resolveOptions } = require('./options.js');
+
+/**
+ * Merge translated interchange files back into the sources (`i18n-gen import`)
+ *
+ * Reads the files written by export.js (XLIFF 2.0, PO, CSV) and sets the target
+ * language of each `namespace:key.path` in the matching source file; plural and
+ * context forms (`item_one`, `friend_male`) go back into the value of the leaf.
+ * Existing non-empty translations (any value but '', null, [] and {}) are kept
+ * unless `overwrite` is set.
+ */
+
+function unescapePo(value) {
+	const escapes = { n: '\n', r: '\r', t: '\t' };
+	return value.replace(/\\(.)/g, (match, char) => escapes[char] || char);
+}
+
+function unescapeXml(value) {
+	const entities = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' };
+
+	// CDATA is literal text: escape its `&` so the entity pass leaves it as is
+	return value
+		.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, text) => text.replace(/&/g, '&amp;'))
+		.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+			if (entity[0] === '#') {
+				return String.fromCodePoint(
+					entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1))
+				);
+			}
+			return entities[entity] || match;
+		});
+}
+
+function getAttributes(tag) {
+	const attributes = {};
+	tag.replace(/([\w:-]+)="([^"]*)"/g, (match, name, value) => {
+		attributes[name] = unescapeXml(value);
+	});
+	return attributes;
+}
+
+function isSet(value) {
+	if (value === undefined || value === null || value === '') {
+		return false;
+	}
+	return typeof value !== 'object' || Object.keys(value).length > 0;
+}
+
+/**
+ * Split `namespace:key.path`
+ */
+function splitId(id) {
+	const index = id.indexOf(':');
+	return { namespace: id.slice(0, index), key: id.slice(index + 1) };
+}
+
+/**
+ * Interchange parsers: text → { source, target, units: [{ namespace, key, target }] }
+ */
+const parsers = {
+	po(text) {
+		const entries = [];
+		let entry = {};
+		let field = null;
+
+		const flush = () => {
+			if (entry.msgid !== undefined) {
+				entries.push(entry);
+			}
+			entry = {};
+			field = null;
+		};
+
+		text.split(/\r?\n/).forEach((line) => {
+			const keyword = /^(msgctxt|msgid|msgstr)\s+"(.*)"$/.exec(line);
+			const continuation = /^"(.*)"$/.exec(line);
+
+			// A comment or keyword after msgstr starts the next entry
+			if (entry.msgstr !== undefined && (line.startsWith('#') || (keyword && keyword[1] !== 'msgstr'))) {
+				flush();
+			}
+
+			if (line.startsWith('#,')) {
+				entry.fuzzy = line.includes('fuzzy');
+			} else if (keyword) {
+				field = keyword[1];
+				entry[field] = unescapePo(keyword[2]);
+			} else if (continuation && field) {
+				entry[field] += unescapePo(continuation[1]);
+			}
+		});
+		flush();
+
+		const header = entries.find((item) => item.msgid === '' && !item.msgctxt);
+		const language = header && /^Language:\s*(\S+)/m.exec(header.msgstr);
+		const sourceLanguage = header && /^X-Source-Language:\s*(\S+)/m.exec(header.msgstr);
+
+		return {
+			source: sourceLanguage ? sourceLanguage[1] : undefined,
+			target: language ? language[1] : undefined,
+			units: entries
+				.filter((item) => item.msgctxt && !item.fuzzy)
+				.map((item) => ({ ...splitId(item.msgctxt), target: item.msgstr || '' })),
+		};
+	},
+
+	xliff(text) {
+		const root = /<xliff\b[^>]*>/.exec(text);
+		const units = [];
+		const filePattern = /<file\b([^>]*)>([\s\S]*?)<\/file>/g;
+		const unitPattern = /<unit\b([^>]*)>([\s\S]*?)<\/unit>/g;
+		const targetPattern = /<target\b[^>]*>([\s\S]*?)<\/target>/g;
+		let file;
+
+		while ((file = filePattern.exec(text))) {
+			const namespace = getAttributes(file[1]).original;
+			let unit;
+
+			while ((unit = unitPattern.exec(file[2]))) {
+				const attributes = getAttributes(unit[1]);
+				const targets = [...unit[2].matchAll(targetPattern)].map((match) => unescapeXml(match[1]));
+
+				units.push({ namespace, key: attributes.name || attributes.id, target: targets.join('') });
+			}
+		}
+
+		const attributes = root ? getAttributes(root[0]) : {};
+
+		return { source: attributes.srcLang, target: attributes.trgLang, units };
+	},
+
+	csv(text) {
+		const rows = [];
+		let row = [];
+		let cell = '';
+		let quoted = false;
+		const input = text.replace(/^\uFEFF/, '');
+
+		for (let i = 0; i < input.length; i++) {
+			const char = input[i];
+
+			if (quoted) {
+				if (char === '"' && input[i + 1] === '"') {
+					cell += '"';
+					i++;
+				} else if (char === '"') {
+					quoted = false;
+				} else {
+					cell += char;
+				}
+			} else if (char === '"') {
+				quoted = true;
+			} else if (char === ',') {
+				row.push(cell);
+				cell = '';
+			} else if (char === '\n' || char === '\r') {
+				if (char === '\r' && input[i + 1] === '\n') {
+					i++;
+				}
+				rows.push([...row, cell]);
+				row = [];
+				cell = '';
+			} else {
+				cell += char;
+			}
+		}
+
+		if (cell || row.length > 0) {
+			rows.push([...row, cell]);
+		}
+
+		const [header = [], ...body] = rows;
+
+		return {
+			source: header[2],
+			target: header[3],
+			units: body
+				.filter((cells) => cells.length >= 4)
+				.map(([namespace, key, , target]) => ({ namespace, key, target })),
+		};
+	},
+};
+
+const FORMATS = { '.po': 'po', '.xlf': 'xliff', '.xliff': 'xliff', '.csv': 'csv' };
+
+/**
+ * Parse an interchange file, the format is taken from its extension
+ */
+function parseInterchange(filePath) {
+	const format = FORMATS[path.extname(filePath).toLowerCase()];
+
+	if (!format) {
+		throw new Error(`Unsupported import file ${filePath} (expected ${Object.keys(FORMATS).join(', ')})`);
+	}
+
+	return parsers[format](fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Merge an interchange file into the source files
+ * options: { overwrite, target }
+ * @returns {{ target, updated: { file, keys }[], imported, unchanged, kept, stale, untranslated }}
+ */
+function importTranslations(config, filePath, options = {}) {
+	const { languages, referenceLanguage } = resolveOptions(config);
+	const parsed = parseInterchange(filePath);
+	const target = options.target || parsed.target;
+	const source = languages.includes(parsed.source) ? parsed.source : referenceLanguage;
+
+	if (!target) {
+		throw new Error(`Cannot tell the target language of ${filePath}, pass --target`);
+	}
+
+	if (!languages.includes(target)) {
+		throw new Error(`Language "${target}" is not in languages (${languages.join(', ')})`);
+	}
+
+	// namespace → { filePath, leaves: Map<key + suffix, { keyPath, path, current, replaced }> }
+	const sources = new Map(
+		resolveInputFiles(config).map((input) => [getNamespace(input.inputFile), { filePath: input.filePath }])
+	);
+
+	const getLeaves = (file) => {
+		if (!file.leaves) {
+			file.leaves = new Map();
+			walkTranslations(readSource(file.filePath), languages, {
+				leaf(value, keyPath) {
+					const translation = value[target];
+					// A plural or context form replaces a target value that is not an object
+					const replaced = isSet(translation) && (typeof translation !== 'object' || Array.isArray(translation));
+
+					(getLeafTexts(value, source, target) || []).forEach((form) => {
+						const replacing = replaced && form.path.length > 0;
+
+						file.leaves.set(`${keyPath.join('.')}${form.suffix}`, {
+							keyPath,
+							path: form.path,
+							current: replacing ? translation : form.target,
+							replaced: replacing,
+						});
+					});
+				},
+			});
+		}
+		return file.leaves;
+	};
+
+	const result = { target, updated: [], imported: 0, unchanged: [], kept: [], stale: [], untranslated: [] };
+	const updates = new Map();
+	const replacedLeaves = new Set();
+
+	parsed.units.forEach(({ namespace, key, target: text }) => {
+		const id = `${namespace}:${key}`;
+		const file = sources.get(namespace);
+		const leaf = file && getLeaves(file).get(key);
+
+		if (!leaf) {
+			result.stale.push(id);
+			return;
+		}
+
+		if (!text) {
+			result.untranslated.push(id);
+			return;
+		}
+
+		const { current } = leaf;
+
+		if (current === text) {
+			result.unchanged.push(id);
+		} else if (isSet(current) && !options.overwrite) {
+			result.kept.push(id);
+		} else {
+			if (!updates.has(file.filePath)) {
+				updates.set(file.filePath, []);
+			}
+
+			const leafId = `${namespace}:${leaf.keyPath.join('.')}`;
+			if (leaf.replaced && !replacedLeaves.has(leafId)) {
+				replacedLeaves.add(leafId);
+				updates.get(file.filePath).push({ keyPath: [...leaf.keyPath, target], value: {}, reset: true });
+			}
+			updates.get(file.filePath).push({ keyPath: [...leaf.keyPath, target, ...leaf.path], value: text });
+		}
+	});
+
+	// Fail before writing anything when a source cannot be rewritten
+	updates.forEach((fileUpdates, sourcePath) => {
+		if (!isWritableSource(sourcePath)) {
+			throw new Error(`Cannot import into ${sourcePath}: only .json and .yaml sources can be updated`);
+		}
+	});
+
+	updates.forEach((fileUpdates, sourcePath) => {
+		updateSource(sourcePath, fileUpdates);
+		const keys = fileUpdates.filter(({ reset }) => !reset).length;
+
+		result.updated.push({ file: sourcePath, keys });
+		result.imported += keys;
+	});
+
+	return result;
+}
+
+module.exports = {
+	importTranslations,
+	parseInterchange,
+	parsers,
+};
@@ -1,3 +1,17 @@
 const i18nGenerator = require('./i18n-generator.js');
+const i18nGeneratorVite = require('./vite-plugin.js');
+const i18nGeneratorRollup = require('./rollup-plugin.js');
+const i18nGeneratorEsbuild = require('./esbuild-plugin.js');
+const { generate, extract } = require('./core.js');
+
+// The class stays the module export (`require('i18n-generator')`); the adapters and
+// the core API are static members, so they survive bundling to a single default export
+Object.assign(i18nGenerator, {
+	i18nGeneratorVite,
+	i18nGeneratorRollup,
+	i18nGeneratorEsbuild,
+	generate,
+	extract,
+});
 
 module.exports = i18nGenerator;
@@ -0,0 +1,6 @@
+// ES module entry (dist/index.esm.js): the class as default export, plus named exports
+import i18nGenerator from './index.js';
+
+export const { i18nGeneratorVite, i18nGeneratorRollup, i18nGeneratorEsbuild, generate, extract } = i18nGenerator;
+
+export default i18nGenerator;
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const { isSourceFile } = require('./readers.js');
+
+/**
+ * Source file discovery
+ *
+ * `inputDir` lists the source files directly inside one directory.
+ * Every extension supported by readers.js is accepted (`.json`, `.yaml`, `.ts`…).
+ * `input` accepts one or more directories and/or glob patterns:
+ * - directories are searched recursively; the output path is the path
+ *   relative to the directory (`translations/admin/users.json` → `admin/users.json`)
+ * - globs support `*`, `?` and `**`; the output path is made of the parts
+ *   matched by wildcards plus the file name
+ *   (`src/features/*\/translations/*.json` → `admin/users.json`)
+ *
+ * Every source file is described as { filePath, inputFile } where `inputFile`
+ * is its path relative to `outputDir/<lang>/` (namespace + `.json`, whatever
+ * the source extension).
+ */
+
+const WILDCARD = /[*?]/;
+
+function isGlob(pattern) {
+	return WILDCARD.test(pattern);
+}
+
+/**
+ * Normalized list of input patterns from `input` or `inputDir`
+ */
+function getInputPatterns(config) {
+	const { input, inputDir } = config;
+
+	if (input) {
+		return [].concat(input);
+	}
+
+	if (inputDir) {
+		return [inputDir];
+	}
+
+	throw new Error('Missing `input` or `inputDir` in config');
+}
+
+/**
+ * Convert one glob segment into a RegExp
+ */
+function segmentToRegExp(segment) {
+	const source = segment
+		.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+		.replace(/\*/g, '[^/]*')
+		.replace(/\?/g, '[^/]');
+
+	return new RegExp(`^${source}$`);
+}
+
+function listDirectory(dir) {
+	try {
+		return fs.readdirSync(dir, { withFileTypes: true });
+	} catch (error) {
+		return [];
+	}
+}
+
+/**
+ * Split a glob into its base directory (leading segments without wildcards)
+ * and the remaining segments
+ */
+function splitGlob(pattern) {
+	const segments = pattern.split(/[\\/]/);
+	const index = segments.findIndex((segment) => isGlob(segment));
+
+	return {
+		base: segments.slice(0, index).join('/') || '.',
+		segments: segments.slice(index),
+	};
+}
+
+/**
+ * Match a glob against the file system
+ * @returns {{ filePath: string, inputFile: string }[]}
+ */
+function matchGlob(pattern) {
+	const { base, segments } = splitGlob(pattern);
+	const results = [];
+
+	// `captured` holds the directory names matched by wildcards
+	const walk = (dir, index, captured) => {
+		const segment = segments[index];
+		const isLast = index === segments.length - 1;
+
+		if (segment === '**') {
+			// Zero directories…
+			walk(dir, index + 1, captured);
+
+			// …or one more, keeping the same `**` segment
+			listDirectory(dir)
+				.filter((entry) => entry.isDirectory())
+				.forEach((entry) => walk(path.join(dir, entry.name), index, [...captured, entry.name]));
+			return;
+		}
+
+		if (!isGlob(segment)) {
+			const next = path.join(dir, segment);
+			if (isLast) {
+				if (fs.existsSync(next) && fs.statSync(next).isFile()) {
+					results.push({ filePath: next, inputFile: [...captured, segment].join('/') });
+				}
+			} else {
+				walk(next, index + 1, captured);
+			}
+			return;
+		}
+
+		const regExp = segmentToRegExp(segment);
+
+		listDirectory(dir)
+			.filter((entry) => regExp.test(entry.name))
+			.forEach((entry) => {
+				const next = path.join(dir, entry.name);
+
+				if (isLast) {
+					if (entry.isFile()) {
+						results.push({ filePath: next, inputFile: [...captured, entry.name].join('/') });
+					}
+				} else if (entry.isDirectory()) {
+					walk(next, index + 1, [...captured, entry.name]);
+				}
+			});
+	};
+
+	walk(base, 0, []);
+	return results;
+}
+
+/**
+ * List the source files of a directory
+ * @returns {{ filePath: string, inputFile: string }[]}
+ */
+function matchDirectory(dir, recursive) {
+	const results = [];
+
+	const walk = (current, prefix) => {
+		listDirectory(current).forEach((entry) => {
+			const filePath = path.join(current, entry.name);
+
+			if (entry.isDirectory() && recursive) {
+				walk(filePath, `${prefix}${entry.name}/`);
+			} else if (entry.isFile() && isSourceFile(entry.name)) {
+				results.push({ filePath, inputFile: prefix + entry.name });
+			}
+		});
+	};
+
+	walk(dir, '');
+	return results;
+}
+
+/**
+ * Output file name of a source file: `common.yaml` → `common.json`
+ */
+function toOutputFile(inputFile) {
+	return inputFile.replace(/\.[^./]+$/, '.json');
+}
+
+/**
+ * Resolve every source file described by `input` / `inputDir`
+ * Throws when two source files map to the same output file.
+ * @returns {{ filePath: string, inputFile: string }[]} Sorted by inputFile
+ */
+function resolveInputFiles(config) {
+	const patterns = getInputPatterns(config);
+	// `inputDir` keeps its original, non-recursive behaviour
+	const recursive = Boolean(config.input);
+	const byInputFile = new Map();
+
+	patterns.forEach((pattern) => {
+		const matches = isGlob(pattern) ? matchGlob(pattern) : matchDirectory(pattern, recursive);
+
+		matches
+			.filter(({ filePath }) => isSourceFile(filePath))
+			.map((match) => ({ ...match, inputFile: toOutputFile(match.inputFile) }))
+			.forEach((match) => {
+				const existing = byInputFile.get(match.inputFile);
+
+				if (existing && path.resolve(existing.filePath) !== path.resolve(match.filePath)) {
+					throw new Error(
+						`Namespace collision: ${existing.filePath} and ${match.filePath} both generate "${match.inputFile}"`
+					);
+				}
+
+				byInputFile.set(match.inputFile, match);
+			});
+	});
+
+	return [...byInputFile.values()].sort((a, b) => a.inputFile.localeCompare(b.inputFile));
+}
+
+/**
+ * Directories to watch for changes: each input directory or glob base
+ */
+function getInputRoots(config) {
+	return getInputPatterns(config).map((pattern) =>
+		isGlob(pattern) ? splitGlob(pattern).base : pattern
+	);
+}
+
+/**
+ * Find the source file entry for an absolute or relative file path
+ * @returns {{ filePath: string, inputFile: string } | undefined}
+ */
+function findInputFile(config, filePath) {
+	const resolved = path.resolve(filePath);
+
+	return resolveInputFiles(config).find((entry) => path.resolve(entry.filePath) === resolved);
+}
+
+/**
+ * Namespace of a source file: its output path without `.json`
+ */
+function getNamespace(inputFile) {
+	return inputFile.replace(/\.json$/, '');
+}
+
+module.exports = {
+	resolveInputFiles,
+	matchGlob,
+	getInputPatterns,
+	getInputRoots,
+	findInputFile,
+	getNamespace,
+};
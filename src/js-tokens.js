@@ -0,0 +1,218 @@
+/**
+ * Lightweight tokenizer for JS/TS/JSX/TSX source (`i18n-gen scan`)
+ *
+ * Not a full parser: it only tells code apart from comments, strings, template
+ * literals and regular expressions, which is enough to find translation calls.
+ * Tokens: { type, value, line, column } with type
+ * - 'name': identifier or keyword
+ * - 'string': quoted string, or template literal without `${}` (value unescaped)
+ * - 'template': template literal with `${}`, value is the text before the first `${`
+ *   (the expressions are tokenized too)
+ * - 'number': numeric literal
+ * - 'punct': any other character
+ * A quote right after a letter or left open at the end of the line (apostrophe
+ * in JSX text) is read as punctuation.
+ */
+
+// After these keywords a `/` starts a regular expression
+const REGEX_KEYWORDS = new Set([
+	'return',
+	'typeof',
+	'instanceof',
+	'in',
+	'of',
+	'new',
+	'delete',
+	'void',
+	'throw',
+	'case',
+	'do',
+	'else',
+	'yield',
+	'await',
+]);
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+function isNameStart(char) {
+	return /[A-Za-z_$\u00C0-\uFFFF]/.test(char);
+}
+
+function isNamePart(char) {
+	return /[\w$\u00C0-\uFFFF]/.test(char);
+}
+
+function unescape(text) {
+	return text.replace(/\\(u\{[0-9A-Fa-f]+\}|u[0-9A-Fa-f]{4}|x[0-9A-Fa-f]{2}|\r\n|[\s\S])/g, (match, sequence) => {
+		if (/^[ux]/.test(sequence) && sequence.length > 1) {
+			return String.fromCodePoint(parseInt(sequence.replace(/^u\{?|^x|\}$/g, ''), 16));
+		}
+		if (/^(\r\n|\n)$/.test(sequence)) {
+			return '';
+		}
+		return ESCAPES[sequence] !== undefined ? ESCAPES[sequence] : sequence;
+	});
+}
+
+/**
+ * Split source code into tokens (comments and whitespace are dropped)
+ * @returns {{ type: string, value: string, line: number, column: number }[]}
+ */
+function tokenize(code) {
+	const tokens = [];
+	// 'brace' or 'template' for each open `{` / `${`
+	const braces = [];
+	let index = 0;
+	let line = 1;
+	let lineStart = 0;
+
+	const push = (type, value, start) => {
+		tokens.push({ type, value, line, column: start - lineStart + 1 });
+	};
+
+	const newlines = (start, end) => {
+		for (let i = start; i < end; i++) {
+			if (code[i] === '\n') {
+				line += 1;
+				lineStart = i + 1;
+			}
+		}
+	};
+
+	const regexAllowed = () => {
+		const previous = tokens[tokens.length - 1];
+
+		if (!previous) {
+			return true;
+		}
+		if (previous.type === 'name') {
+			return REGEX_KEYWORDS.has(previous.value);
+		}
+		if (previous.type !== 'punct') {
+			return false;
+		}
+		// `</` closes a JSX element
+		return !/[)\]}<]/.test(previous.value);
+	};
+
+	/**
+	 * Read template text from `start` up to the closing backtick or the next `${`
+	 * @returns {{ text: string, end: number, expression: boolean }}
+	 */
+	const readTemplate = (start) => {
+		let i = start;
+
+		while (i < code.length && code[i] !== '`' && !(code[i] === '$' && code[i + 1] === '{')) {
+			i += code[i] === '\\' ? 2 : 1;
+		}
+
+		const expression = code[i] === '$';
+		const text = unescape(code.slice(start, i));
+		newlines(start, i);
+		return { text, end: i + (expression ? 2 : 1), expression };
+	};
+
+	while (index < code.length) {
+		const char = code[index];
+		const next = code[index + 1];
+
+		if (char === '\n' || /\s/.test(char)) {
+			newlines(index, index + 1);
+			index += 1;
+		} else if (char === '/' && next === '/') {
+			const end = code.indexOf('\n', index);
+			index = end === -1 ? code.length : end;
+		} else if (char === '/' && next === '*') {
+			const end = code.indexOf('*/', index + 2);
+			const stop = end === -1 ? code.length : end + 2;
+			newlines(index, stop);
+			index = stop;
+		} else if (char === '"' || char === "'") {
+			let i = index + 1;
+
+			while (i < code.length && code[i] !== char && code[i] !== '\n') {
+				i += code[i] === '\\' ? 2 : 1;
+			}
+
+			if (code[i] === char && !isNamePart(code[index - 1] || ' ')) {
+				push('string', unescape(code.slice(index + 1, i)), index);
+				index = i + 1;
+			} else {
+				push('punct', char, index);
+				index += 1;
+			}
+		} else if (char === '`') {
+			const start = index;
+			const { text, end, expression } = readTemplate(index + 1);
+
+			push(expression ? 'template' : 'string', text, start);
+			if (expression) {
+				braces.push('template');
+			}
+			index = end;
+		} else if (char === '}' && braces[braces.length - 1] === 'template') {
+			// Rest of the template literal, after an expression
+			braces.pop();
+			const { end, expression } = readTemplate(index + 1);
+
+			if (expression) {
+				braces.push('template');
+			}
+			index = end;
+		} else if (char === '/' && regexAllowed()) {
+			let i = index + 1;
+			let inClass = false;
+
+			while (i < code.length && code[i] !== '\n' && (inClass || code[i] !== '/')) {
+				if (code[i] === '\\') {
+					i += 1;
+				} else if (code[i] === '[') {
+					inClass = true;
+				} else if (code[i] === ']') {
+					inClass = false;
+				}
+				i += 1;
+			}
+
+			if (code[i] === '/') {
+				index = i + 1;
+				while (index < code.length && isNamePart(code[index])) {
+					index += 1;
+				}
+			} else {
+				push('punct', char, index);
+				index += 1;
+			}
+		} else if (/\d/.test(char) || (char === '.' && /\d/.test(next))) {
+			let i = index + 1;
+
+			while (i < code.length && /[\w.]/.test(code[i])) {
+				i += 1;
+			}
+			push('number', code.slice(index, i), index);
+			index = i;
+		} else if (isNameStart(char)) {
+			let i = index + 1;
+
+			while (i < code.length && isNamePart(code[i])) {
+				i += 1;
+			}
+			push('name', code.slice(index, i), index);
+			index = i;
+		} else {
+			if (char === '{') {
+				braces.push('brace');
+			} else if (char === '}') {
+				braces.pop();
+			}
+			push('punct', char, index);
+			index += 1;
+		}
+	}
+
+	return tokens;
+}
+
+module.exports = {
+	tokenize,
+};
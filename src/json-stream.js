@@ -0,0 +1,269 @@
+const { SourceParseError } = require('./readers.js');
+
+/**
+ * Incremental JSON parser
+ *
+ * Text is fed in chunks with write() and end(), and the document is reported to
+ * `handler` as events instead of being built in memory:
+ *   objectStart(), key(name), objectEnd(), arrayStart(), arrayEnd(), value(primitive)
+ * Only the token being read is kept between chunks.
+ * Syntax errors are thrown as SourceParseError with line and column.
+ */
+
+// What the next token may be
+const EXPECT_VALUE = 'value';
+const EXPECT_VALUE_OR_END = 'value or ]';
+const EXPECT_KEY = 'key';
+const EXPECT_KEY_OR_END = 'key or }';
+const EXPECT_COLON = ':';
+const EXPECT_COMMA = ', or end';
+const EXPECT_NOTHING = 'end of input';
+
+const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const LITERALS = new Map([
+	['true', true],
+	['false', false],
+	['null', null],
+]);
+
+function isWhitespace(code) {
+	return code === 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+// Characters of numbers and literals
+function isWordCharacter(code) {
+	return (
+		(code >= 0x30 && code <= 0x39) ||
+		(code >= 0x61 && code <= 0x7a) ||
+		(code >= 0x41 && code <= 0x5a) ||
+		code === 0x2d ||
+		code === 0x2b ||
+		code === 0x2e
+	);
+}
+
+class JSONStreamParser {
+	constructor(filePath, handler) {
+		this.filePath = filePath;
+		this.handler = handler;
+		// Unread text, starting at absolute offset `consumed`
+		this.text = '';
+		this.consumed = 0;
+		this.line = 1;
+		this.lineStart = 0;
+		// 'object' / 'array' for each open container
+		this.stack = [];
+		this.expect = EXPECT_VALUE;
+	}
+
+	write(chunk) {
+		this.text += chunk;
+		this.parse(false);
+	}
+
+	end() {
+		this.parse(true);
+
+		if (this.expect !== EXPECT_NOTHING) {
+			throw this.error('Unexpected end of JSON input', this.text.length);
+		}
+	}
+
+	error(reason, index) {
+		const offset = this.consumed + index;
+		return new SourceParseError(this.filePath, reason, this.line, offset - this.lineStart + 1);
+	}
+
+	/**
+	 * Read every complete token of `text`; an incomplete token at the end
+	 * is kept for the next chunk unless `final`
+	 */
+	parse(final) {
+		const { text } = this;
+		let index = 0;
+
+		while (index < text.length) {
+			const code = text.charCodeAt(index);
+
+			if (isWhitespace(code)) {
+				if (code === 0x0a) {
+					this.line += 1;
+					this.lineStart = this.consumed + index + 1;
+				}
+				index += 1;
+				continue;
+			}
+
+			const next = code === 0x22 ? this.readString(index, final) : this.readToken(index, final);
+
+			if (next === -1) {
+				break;
+			}
+			index = next;
+		}
+
+		this.consumed += index;
+		this.text = text.slice(index);
+	}
+
+	/**
+	 * Read a string token at `start`
+	 * @returns {number} Index after the string, -1 when it continues in the next chunk
+	 */
+	readString(start, final) {
+		const { text } = this;
+		let index = start + 1;
+		let escaped = false;
+
+		while (index < text.length) {
+			const code = text.charCodeAt(index);
+
+			if (code === 0x22) {
+				break;
+			}
+			if (code < 0x20) {
+				throw this.error('Bad control character in string literal', index);
+			}
+			if (code === 0x5c) {
+				escaped = true;
+				index += 1;
+			}
+			index += 1;
+		}
+
+		if (index >= text.length) {
+			if (final) {
+				throw this.error('Unterminated string in JSON', start);
+			}
+			return -1;
+		}
+
+		let string;
+		if (escaped) {
+			try {
+				string = JSON.parse(text.slice(start, index + 1));
+			} catch (error) {
+				throw this.error(error.message.replace(/ in JSON at position.*$/, ''), start);
+			}
+		} else {
+			string = text.slice(start + 1, index);
+		}
+
+		if (this.expect === EXPECT_KEY || this.expect === EXPECT_KEY_OR_END) {
+			this.handler.key(string);
+			this.expect = EXPECT_COLON;
+		} else {
+			this.readValue(start);
+			this.handler.value(string);
+			this.afterValue();
+		}
+
+		return index + 1;
+	}
+
+	/**
+	 * Read a punctuation, number or literal token at `start`
+	 * @returns {number} Index after the token, -1 when it continues in the next chunk
+	 */
+	readToken(start, final) {
+		const { text, stack } = this;
+		const char = text[start];
+		const container = stack[stack.length - 1];
+
+		switch (char) {
+			case '{':
+				this.readValue(start);
+				stack.push('object');
+				this.expect = EXPECT_KEY_OR_END;
+				this.handler.objectStart();
+				return start + 1;
+			case '[':
+				this.readValue(start);
+				stack.push('array');
+				this.expect = EXPECT_VALUE_OR_END;
+				this.handler.arrayStart();
+				return start + 1;
+			case '}':
+			case ']': {
+				const closes = char === '}' ? 'object' : 'array';
+				const canClose =
+					this.expect === EXPECT_COMMA ||
+					this.expect === (closes === 'object' ? EXPECT_KEY_OR_END : EXPECT_VALUE_OR_END);
+
+				if (container !== closes || !canClose) {
+					throw this.unexpected(start);
+				}
+
+				stack.pop();
+				if (closes === 'object') {
+					this.handler.objectEnd();
+				} else {
+					this.handler.arrayEnd();
+				}
+				this.afterValue();
+				return start + 1;
+			}
+			case ':':
+				if (this.expect !== EXPECT_COLON) {
+					throw this.unexpected(start);
+				}
+				this.expect = EXPECT_VALUE;
+				return start + 1;
+			case ',':
+				if (this.expect !== EXPECT_COMMA) {
+					throw this.unexpected(start);
+				}
+				this.expect = container === 'object' ? EXPECT_KEY : EXPECT_VALUE;
+				return start + 1;
+			default:
+				break;
+		}
+
+		let end = start;
+		while (end < text.length && isWordCharacter(text.charCodeAt(end))) {
+			end += 1;
+		}
+
+		if (end === start) {
+			throw this.unexpected(start);
+		}
+		if (end === text.length && !final) {
+			return -1;
+		}
+
+		const word = text.slice(start, end);
+		if (!NUMBER.test(word) && !LITERALS.has(word)) {
+			throw this.unexpected(start);
+		}
+
+		this.readValue(start);
+		this.handler.value(LITERALS.has(word) ? LITERALS.get(word) : Number(word));
+		this.afterValue();
+		return end;
+	}
+
+	// Check that a value may start at `index`
+	readValue(index) {
+		if (this.expect !== EXPECT_VALUE && this.expect !== EXPECT_VALUE_OR_END) {
+			throw this.unexpected(index);
+		}
+	}
+
+	afterValue() {
+		this.expect = this.stack.length > 0 ? EXPECT_COMMA : EXPECT_NOTHING;
+	}
+
+	unexpected(index) {
+		const token = this.text[index];
+		const reason =
+			this.expect === EXPECT_NOTHING
+				? 'Unexpected non-whitespace character after JSON'
+				: `Unexpected token '${token}', expected ${this.expect}`;
+
+		return this.error(reason, index);
+	}
+}
+
+module.exports = {
+	JSONStreamParser,
+};
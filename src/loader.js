@@ -0,0 +1,186 @@
+const path = require('path');
+const { writeFileIfChanged } = require('./fs-utils.js');
+const { resolveInputFiles, getNamespace } = require('./inputs.js');
+const { getOutputLanguages } = require('./options.js');
+
+/**
+ * Runtime resource loader generation for `emitLoader`
+ *
+ * Emits a JS/TS module that imports the generated locale files, kept in sync
+ * with `languages`, `pseudoLanguages` and the source files found in `input` / `inputDir`:
+ * - 'lazy' (default): `loadNamespace(lang, ns)` using dynamic import(),
+ *   so bundlers split every language/namespace into its own chunk
+ * - 'static': a `resources` object ready for i18next `init({ resources })`
+ */
+
+const HEADER = '// Generated by i18n-generator. Do not edit manually.\n';
+
+/**
+ * Normalize `emitLoader` (a path or { path, mode }) into { loaderPath, mode }
+ */
+function getLoaderOptions(config) {
+	const { emitLoader } = config;
+	const options = typeof emitLoader === 'string' ? { path: emitLoader } : emitLoader;
+	const mode = options.mode || 'lazy';
+
+	if (!options.path) {
+		throw new Error('emitLoader requires an output path');
+	}
+
+	if (mode !== 'lazy' && mode !== 'static') {
+		throw new Error(`Unknown emitLoader mode "${mode}" (expected 'lazy' or 'static')`);
+	}
+
+	return { loaderPath: options.path, mode };
+}
+
+/**
+ * Import specifier of a generated locale file relative to the loader module
+ */
+function getImportPath(loaderPath, outputDir, lang, namespace) {
+	const target = path.join(outputDir, lang, `${namespace}.json`);
+	const relative = path.relative(path.dirname(loaderPath), target).split(path.sep).join('/');
+
+	return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+function quote(value) {
+	return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function toArray(values) {
+	return `[${values.map(quote).join(', ')}]`;
+}
+
+/**
+ * Import binding for a locale file, unique among `used`
+ * (`404` → `_404_en`, `a-b` and `a_b` → `a_b_en` and `a_b_en_2`)
+ */
+function toIdentifier(lang, namespace, used) {
+	const base = `${namespace}_${lang}`.replace(/[^\w$]/g, '_').replace(/^(?=\d)/, '_');
+	let identifier = base;
+
+	for (let i = 2; used.has(identifier); i++) {
+		identifier = `${base}_${i}`;
+	}
+	used.add(identifier);
+	return identifier;
+}
+
+function generateStaticLoader(languages, namespaces, importPath, isTypeScript) {
+	const imports = [];
+	const used = new Set();
+	const entries = languages.map((lang) => {
+		const fields = namespaces.map((namespace) => {
+			const identifier = toIdentifier(lang, namespace, used);
+			imports.push(`import ${identifier} from ${quote(importPath(lang, namespace))};`);
+			return `\t\t${quote(namespace)}: ${identifier},`;
+		});
+
+		return [`\t${quote(lang)}: {`, ...fields, '\t},'].join('\n');
+	});
+
+	return [
+		...imports,
+		'',
+		`export const languages = ${toArray(languages)}${isTypeScript ? ' as const' : ''};`,
+		`export const namespaces = ${toArray(namespaces)}${isTypeScript ? ' as const' : ''};`,
+		'',
+		'export const resources = {',
+		...entries,
+		'};',
+		'',
+	];
+}
+
+function generateLazyLoader(languages, namespaces, importPath, isTypeScript) {
+	const entries = languages.map((lang) => {
+		const fields = namespaces.map(
+			(namespace) =>
+				`\t\t${quote(namespace)}: () => import(${quote(importPath(lang, namespace))}),`
+		);
+
+		return [`\t${quote(lang)}: {`, ...fields, '\t},'].join('\n');
+	});
+
+	const signature = isTypeScript
+		? 'lang: string, ns: string): Promise<Record<string, unknown>>'
+		: 'lang, ns)';
+	const languageSignature = isTypeScript
+		? 'lang: string): Promise<Record<string, Record<string, unknown>>>'
+		: 'lang)';
+	const loadersType = isTypeScript
+		? ': Record<string, Record<string, () => Promise<any>>>'
+		: '';
+
+	return [
+		`export const languages = ${toArray(languages)}${isTypeScript ? ' as const' : ''};`,
+		`export const namespaces = ${toArray(namespaces)}${isTypeScript ? ' as const' : ''};`,
+		'',
+		`const loaders${loadersType} = {`,
+		...entries,
+		'};',
+		'',
+		'/**',
+		' * Load one namespace of one language (one chunk per file)',
+		' */',
+		`export function loadNamespace(${signature} {`,
+		'\tconst loader = loaders[lang] && loaders[lang][ns];',
+		'',
+		'\tif (!loader) {',
+		'\t\treturn Promise.reject(new Error(`No translations for "${ns}" in "${lang}"`));',
+		'\t}',
+		'',
+		'\treturn loader().then((module) => module.default || module);',
+		'}',
+		'',
+		'/**',
+		' * Load every namespace of one language',
+		' */',
+		`export function loadLanguage(${languageSignature} {`,
+		'\treturn Promise.all(namespaces.map((ns) => loadNamespace(lang, ns))).then((data) =>',
+		'\t\tObject.fromEntries(namespaces.map((ns, i) => [ns, data[i]]))',
+		'\t);',
+		'}',
+		'',
+	];
+}
+
+/**
+ * Generate the loader module content for every source file
+ */
+function generateLoader(config) {
+	const { outputDir } = config;
+	const languages = getOutputLanguages(config);
+	const { loaderPath, mode } = getLoaderOptions(config);
+	const isTypeScript = /\.tsx?$/.test(loaderPath);
+
+	const namespaces = resolveInputFiles(config).map(({ inputFile }) => getNamespace(inputFile));
+
+	const importPath = (lang, namespace) =>
+		getImportPath(path.resolve(loaderPath), path.resolve(outputDir), lang, namespace);
+
+	const body =
+		mode === 'static'
+			? generateStaticLoader(languages, namespaces, importPath, isTypeScript)
+			: generateLazyLoader(languages, namespaces, importPath, isTypeScript);
+
+	return [HEADER, ...body].join('\n');
+}
+
+/**
+ * Write the loader module, skipping the write when the content is unchanged
+ * @returns {{ loaderPath: string, changed: boolean }}
+ */
+function writeLoader(config) {
+	const { loaderPath } = getLoaderOptions(config);
+	const changed = writeFileIfChanged(loaderPath, generateLoader(config));
+
+	return { loaderPath, changed };
+}
+
+module.exports = {
+	generateLoader,
+	getLoaderOptions,
+	writeLoader,
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { resolveInputFiles, getNamespace } = require('./inputs.js');
+const { readSource } = require('./readers.js');
+const { walkTranslations } = require('./traverse.js');
+const { writeFileIfChanged } = require('./fs-utils.js');
+const { resolveOptions } = require('./options.js');
+
+/**
+ * Stale translation detection (`lockFile` option)
+ *
+ * The lockfile stores, for every translation, a hash of the reference-language
+ * text it was made against and a hash of the translation itself:
+ *
+ *   { referenceLanguage: 'en', translations: { common: { 'nav.home': { vi: { source, text } } } } }
+ *
+ * - new or edited translations are recorded against the current reference text
+ * - a translation whose reference text changed since is stale until it is
+ *   edited or marked reviewed (`i18n-gen mark-reviewed`)
+ *
+ * Stale report shape: { [lang]: { [inputFile]: ['key.path', ...] } } (as in missing.js)
+ */
+
+const DEFAULT_LOCK_FILE = './i18n.lock.json';
+
+function hash(text) {
+	return crypto.createHash('sha1').update(text).digest('hex').slice(0, 12);
+}
+
+function isText(value) {
+	return typeof value === 'string' && value !== '';
+}
+
+/**
+ * Lockfile path from the `lockFile` option (`true` for ./i18n.lock.json)
+ */
+function getLockPath(config) {
+	return typeof config.lockFile === 'string' ? config.lockFile : DEFAULT_LOCK_FILE;
+}
+
+function readLock(lockPath) {
+	if (!fs.existsSync(lockPath)) {
+		return null;
+	}
+
+	try {
+		return JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+	} catch (error) {
+		throw new Error(`Invalid lockfile ${lockPath}: ${error.message}`);
+	}
+}
+
+/**
+ * Compute the next lockfile content and the stale translations
+ * `review(lang, inputFile, key)` returning true records a stale translation
+ * against the current reference text (mark reviewed)
+ * @returns {{ lock: Object, stale: Object }}
+ */
+function computeLock(config, previous, review = () => false) {
+	const { languages, referenceLanguage } = resolveOptions(config);
+	// A different reference language invalidates every recorded hash
+	const previousTranslations =
+		previous && previous.referenceLanguage === referenceLanguage ? previous.translations || {} : {};
+
+	const translations = {};
+	const stale = {};
+
+	resolveInputFiles(config).forEach(({ filePath, inputFile }) => {
+		const namespace = getNamespace(inputFile);
+		const previousKeys = previousTranslations[namespace] || {};
+		const keys = {};
+
+		walkTranslations(readSource(filePath), languages, {
+			leaf(value, keyPath) {
+				if (!isText(value[referenceLanguage])) {
+					return;
+				}
+
+				const key = keyPath.join('.');
+				const source = hash(value[referenceLanguage]);
+				const entries = {};
+
+				languages
+					.filter((lang) => lang !== referenceLanguage && isText(value[lang]))
+					.forEach((lang) => {
+						const text = hash(value[lang]);
+						const recorded = (previousKeys[key] || {})[lang];
+
+						if (!recorded || recorded.text !== text || recorded.source === source) {
+							entries[lang] = { source, text };
+						} else if (review(lang, inputFile, key)) {
+							entries[lang] = { source, text };
+						} else {
+							entries[lang] = recorded;
+							stale[lang] = stale[lang] || {};
+							(stale[lang][inputFile] = stale[lang][inputFile] || []).push(key);
+						}
+					});
+
+				if (Object.keys(entries).length > 0) {
+					keys[key] = entries;
+				}
+			},
+		});
+
+		if (Object.keys(keys).length > 0) {
+			translations[namespace] = keys;
+		}
+	});
+
+	return { lock: { referenceLanguage, translations }, stale };
+}
+
+function serializeLock(lock) {
+	const translations = {};
+	Object.keys(lock.translations)
+		.sort()
+		.forEach((namespace) => {
+			translations[namespace] = lock.translations[namespace];
+		});
+
+	return `${JSON.stringify({ ...lock, translations }, null, '\t')}\n`;
+}
+
+/**
+ * Stale translations according to the lockfile, without writing it
+ * @returns {Object} Stale report
+ */
+function findStale(config) {
+	const previous = readLock(getLockPath(config));
+	return previous ? computeLock(config, previous).stale : {};
+}
+
+/**
+ * Update the lockfile after generation
+ * @returns {{ lockPath: string, changed: boolean, stale: Object }}
+ */
+function writeLock(config) {
+	const lockPath = getLockPath(config);
+	const { lock, stale } = computeLock(config, readLock(lockPath));
+	const changed = writeFileIfChanged(lockPath, serializeLock(lock));
+
+	return { lockPath, changed, stale };
+}
+
+/**
+ * Mark stale translations as reviewed
+ * `ids` filters by `namespace` or `namespace:key.path` (all when empty),
+ * `lang` by language
+ * @returns {{ lockPath: string, reviewed: string[], stale: Object }}
+ */
+function markReviewed(config, { ids = [], lang } = {}) {
+	const lockPath = getLockPath(config);
+	const reviewed = [];
+
+	const matches = (namespace, key) => {
+		const id = `${namespace}:${key}`;
+		return ids.length === 0 || ids.some((filter) => filter === namespace || filter === id || id.startsWith(`${filter}.`));
+	};
+
+	const { lock, stale } = computeLock(config, readLock(lockPath), (staleLang, inputFile, key) => {
+		const namespace = getNamespace(inputFile);
+
+		if ((lang && lang !== staleLang) || !matches(namespace, key)) {
+			return false;
+		}
+
+		reviewed.push(`${staleLang} ${namespace}:${key}`);
+		return true;
+	});
+
+	writeFileIfChanged(lockPath, serializeLock(lock));
+	return { lockPath, reviewed, stale };
+}
+
+function countStale(report) {
+	return Object.values(report).reduce(
+		(sum, files) => sum + Object.values(files).reduce((count, keys) => count + keys.length, 0),
+		0
+	);
+}
+
+function printStaleReport(report, referenceLanguage) {
+	const total = countStale(report);
+
+	if (total === 0) {
+		return;
+	}
+
+	console.warn(`\n⚠️  Stale translations: ${total} keys (the "${referenceLanguage}" text changed since)`);
+
+	Object.keys(report).forEach((lang) => {
+		Object.keys(report[lang]).forEach((inputFile) => {
+			console.warn(`   ${lang} ${inputFile}: ${report[lang][inputFile].join(', ')}`);
+		});
+	});
+
+	console.warn('   Update them or run `i18n-gen mark-reviewed` once checked');
+}
+
+module.exports = {
+	getLockPath,
+	findStale,
+	writeLock,
+	markReviewed,
+	countStale,
+	printStaleReport,
+};
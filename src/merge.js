@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveInputFiles } = require('./inputs.js');
+const { readSource } = require('./readers.js');
+const { addMissing } = require('./missing.js');
+const { resolveOptions } = require('./options.js');
+
+/**
+ * Migration from per-language locale folders (`i18n-gen merge`)
+ *
+ * The reverse of extractTranslations: `<from>/<lang>/<ns>.json` files are
+ * combined into `<to>/<ns>.json` with `{ [lang]: value }` leaves, either
+ * nested like the locale files or flat with dot-notation keys.
+ */
+
+function isBranch(value) {
+	return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Flatten a locale object into [['key', 'path'], value] pairs
+ * (locale files have no leaves or constants, so walkTranslations does not apply)
+ */
+function collectValues(obj, prefix = [], pairs = []) {
+	Object.keys(obj).forEach((key) => {
+		const keyPath = [...prefix, key];
+
+		if (isBranch(obj[key])) {
+			collectValues(obj[key], keyPath, pairs);
+		} else {
+			pairs.push([keyPath, obj[key]]);
+		}
+	});
+
+	return pairs;
+}
+
+/**
+ * Combine one namespace from every language
+ * `contents` is { [lang]: localeObject }; key order follows the first language that has the key
+ * @returns {{ content: Object, missing: { [lang]: string[] }, flattened: string[] }}
+ * `flattened` lists nested keys written in dot notation because a parent has a
+ * key named like a language code, which would otherwise be read as a leaf
+ */
+function combineTranslations(contents, languages, options = {}) {
+	const { flat = false } = options;
+	const leaves = new Map();
+
+	languages.forEach((lang) => {
+		if (!contents[lang]) {
+			return;
+		}
+
+		collectValues(contents[lang]).forEach(([keyPath, value]) => {
+			const key = keyPath.join('.');
+
+			if (!leaves.has(key)) {
+				leaves.set(key, { keyPath, values: {} });
+			}
+			leaves.get(key).values[lang] = value;
+		});
+	});
+
+	const content = {};
+	const missing = {};
+	const flattened = [];
+
+	leaves.forEach(({ keyPath, values }, key) => {
+		const leaf = {};
+
+		languages.forEach((lang) => {
+			if (lang in values) {
+				leaf[lang] = values[lang];
+			} else {
+				missing[lang] = missing[lang] || [];
+				missing[lang].push(key);
+			}
+		});
+
+		// A key named like a language code turns its parent into a leaf,
+		// so nesting stops at the grandparent and the rest uses dot notation
+		const conflict = keyPath.findIndex((segment, index) => index > 0 && languages.includes(segment));
+		const parents = keyPath.length - 1;
+		const nestedDepth = flat ? 0 : conflict === -1 ? parents : conflict - 1;
+
+		if (!flat && nestedDepth < parents) {
+			flattened.push(key);
+		}
+
+		let target = content;
+		keyPath.slice(0, nestedDepth).forEach((segment) => {
+			target[segment] = target[segment] || {};
+			target = target[segment];
+		});
+		target[keyPath.slice(nestedDepth).join('.')] = leaf;
+	});
+
+	return { content, missing, flattened };
+}
+
+/**
+ * Read `<from>/<lang>/**` for every language and write combined sources to `to`
+ * options: { from, to, flat, force }
+ * @returns {{ files: string[], skipped: string[], missing: Object, flattened: string[] }}
+ */
+function mergeTranslations(config, options) {
+	const { languages } = resolveOptions(config);
+	const { from, to, flat = false, force = false } = options;
+
+	if (!fs.existsSync(from)) {
+		throw new Error(`Locale directory not found: ${from}`);
+	}
+
+	// inputFile → { [lang]: localeObject }
+	const namespaces = new Map();
+
+	languages.forEach((lang) => {
+		const dir = path.join(from, lang);
+
+		if (!fs.existsSync(dir)) {
+			return;
+		}
+
+		resolveInputFiles({ input: dir }).forEach(({ filePath, inputFile }) => {
+			if (!namespaces.has(inputFile)) {
+				namespaces.set(inputFile, {});
+			}
+			namespaces.get(inputFile)[lang] = readSource(filePath);
+		});
+	});
+
+	const result = { files: [], skipped: [], missing: {}, flattened: [] };
+
+	[...namespaces.keys()].sort().forEach((inputFile) => {
+		const { content, missing, flattened } = combineTranslations(namespaces.get(inputFile), languages, {
+			flat,
+		});
+		const outputPath = path.join(to, inputFile);
+
+		Object.keys(missing).forEach((lang) => addMissing(result.missing, lang, inputFile, missing[lang]));
+		result.flattened.push(...flattened.map((key) => `${inputFile}: ${key}`));
+
+		if (fs.existsSync(outputPath) && !force) {
+			result.skipped.push(outputPath);
+			return;
+		}
+
+		fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+		fs.writeFileSync(outputPath, `${JSON.stringify(content, null, '\t')}\n`);
+		result.files.push(outputPath);
+	});
+
+	return result;
+}
+
+module.exports = {
+	combineTranslations,
+	mergeTranslations,
+};
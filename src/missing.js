@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Helpers for translations that are missing in a language:
+ * fallback resolution and the per-language missing-keys report
+ *
+ * Report shape: { [lang]: { [inputFile]: ['key.path', ...] } }
+ */
+
+/**
+ * Resolve the fallback chain used when `lang` has no value for a key.
+ * `fallbackLanguage` follows i18next's `fallbackLng` format:
+ * - 'en'
+ * - ['pt', 'en']
+ * - { 'pt-BR': ['pt', 'en'], default: ['en'] }
+ */
+function getFallbackChain(fallbackLanguage, lang) {
+	if (!fallbackLanguage) {
+		return [];
+	}
+
+	const chain =
+		typeof fallbackLanguage === 'string' || Array.isArray(fallbackLanguage)
+			? fallbackLanguage
+			: fallbackLanguage[lang] || fallbackLanguage.default || [];
+
+	return [].concat(chain).filter((fallback) => fallback !== lang);
+}
+
+/**
+ * Every language code referenced by `fallbackLanguage`
+ */
+function getFallbackLanguages(fallbackLanguage) {
+	if (!fallbackLanguage) {
+		return [];
+	}
+
+	const chains =
+		typeof fallbackLanguage === 'string' || Array.isArray(fallbackLanguage)
+			? [fallbackLanguage]
+			: Object.values(fallbackLanguage);
+
+	return [...new Set([].concat(...chains))];
+}
+
+function addMissing(report, lang, inputFile, keys) {
+	if (keys.length === 0) {
+		return;
+	}
+
+	report[lang] = report[lang] || {};
+	report[lang][inputFile] = keys;
+}
+
+function countMissing(report) {
+	return Object.values(report).reduce(
+		(total, files) =>
+			total + Object.values(files).reduce((sum, keys) => sum + keys.length, 0),
+		0
+	);
+}
+
+function printMissingReport(report) {
+	const total = countMissing(report);
+
+	if (total === 0) {
+		return;
+	}
+
+	console.warn(`\n⚠️  Missing translations: ${total} keys`);
+
+	Object.keys(report).forEach((lang) => {
+		const files = report[lang];
+		const count = Object.values(files).reduce((sum, keys) => sum + keys.length, 0);
+
+		console.warn(`   ${lang}: ${count} keys`);
+		Object.keys(files).forEach((inputFile) => {
+			console.warn(`     ${inputFile}: ${files[inputFile].join(', ')}`);
+		});
+	});
+}
+
+function writeMissingReport(reportPath, report) {
+	if (!fs.existsSync(path.dirname(reportPath))) {
+		fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+	}
+
+	fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+}
+
+module.exports = {
+	getFallbackChain,
+	getFallbackLanguages,
+	addMissing,
+	countMissing,
+	printMissingReport,
+	writeMissingReport,
+};
@@ -0,0 +1,65 @@
+const { getOutputFormat } = require('./plurals.js');
+const { getPseudoLanguages } = require('./pseudo.js');
+
+/**
+ * Generation options and their defaults
+ *
+ * Every module reads `languages`, `referenceLanguage` and the other shared options
+ * through resolveOptions, so the defaults are defined once. Kept apart from core.js,
+ * which requires most modules, so that any of them can require it.
+ */
+
+/**
+ * Options with their defaults, for generate(), the generator classes and the commands
+ * Other options (inputDir, input, outputDir, missingReport…) are kept as they are
+ */
+function resolveOptions(options = {}) {
+	const languages = options.languages || ['vi', 'en'];
+
+	return {
+		...options,
+		languages,
+
+		// Missing translations
+		failOnMissing: options.failOnMissing || false,
+
+		// Placeholder validation: 'warn', 'error' or false
+		referenceLanguage: options.referenceLanguage || languages[0],
+		validatePlaceholders: options.validatePlaceholders === undefined ? 'warn' : options.validatePlaceholders,
+
+		// Plural and context values: 'i18next' or 'icu' (see plurals.js)
+		outputFormat: getOutputFormat(options.outputFormat),
+
+		// Pseudo languages derived from the reference language (see pseudo.js)
+		pseudoLanguages: getPseudoLanguages(options.pseudoLanguages, languages),
+
+		// TypeScript declarations: false, true or an output path
+		emitTypes: options.emitTypes || false,
+
+		// Runtime loader module: false, a path or { path, mode: 'lazy' | 'static' }
+		emitLoader: options.emitLoader || false,
+
+		// Stale translation lockfile: false, true or a path (see lock.js)
+		lockFile: options.lockFile || false,
+
+		// Incremental generation: true (default), false or a cache file path (see cache.js)
+		cache: options.cache === undefined ? true : options.cache,
+
+		// Delete outputs of removed source files and languages: false, true or a manifest path (see clean.js)
+		clean: options.clean || false,
+	};
+}
+
+/**
+ * Languages written to `outputDir`: `languages`, then the pseudo languages
+ */
+function getOutputLanguages(config) {
+	const { languages, pseudoLanguages } = resolveOptions(config);
+
+	return [...languages, ...pseudoLanguages];
+}
+
+module.exports = {
+	resolveOptions,
+	getOutputLanguages,
+};
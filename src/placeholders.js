@@ -0,0 +1,224 @@
+/**
+ * Interpolation placeholder validation across languages
+ *
+ * Supported syntaxes:
+ * - i18next interpolation: {{name}}, {{- html}}, {{count, number}}
+ * - ICU arguments: {name}, {count, plural, one {# item} other {# items}}
+ * - i18next nesting: $t(common:key), $t(key, { "count": 1 })
+ *
+ * Report shape: { [lang]: { [inputFile]: [{ key, missing, extra }] } }
+ */
+
+const I18NEXT_PATTERN = /\{\{\s*-?\s*([^{}]+?)\s*\}\}/g;
+const NESTING_PATTERN = /\$t\(\s*([^,)]+?)\s*[,)]/g;
+const ICU_ARGUMENT = /^\s*([A-Za-z_$][\w$.]*)\s*(?:,\s*(\w+)\s*(?:,([\s\S]*))?)?$/;
+const ICU_BRANCHING = new Set(['plural', 'select', 'selectordinal']);
+
+/**
+ * Index of the brace closing the one at `start`, or -1
+ */
+function findClosingBrace(str, start) {
+	let depth = 0;
+
+	for (let i = start; i < str.length; i++) {
+		if (str[i] === '{') {
+			depth++;
+		} else if (str[i] === '}') {
+			depth--;
+			if (depth === 0) {
+				return i;
+			}
+		}
+	}
+
+	return -1;
+}
+
+/**
+ * Call `visit(name, format)` for every ICU argument, descending into
+ * plural/select branches so branch text itself is not taken for an argument
+ */
+function walkIcuArguments(str, visit) {
+	let i = 0;
+
+	while (i < str.length) {
+		if (str[i] !== '{') {
+			i++;
+			continue;
+		}
+
+		const end = findClosingBrace(str, i);
+		if (end === -1) {
+			return;
+		}
+
+		const match = ICU_ARGUMENT.exec(str.slice(i + 1, end));
+		if (match) {
+			visit(match[1], match[2]);
+
+			if (ICU_BRANCHING.has(match[2]) && match[3]) {
+				walkIcuBranches(match[3], visit);
+			}
+		}
+
+		i = end + 1;
+	}
+}
+
+function walkIcuBranches(branches, visit) {
+	let i = 0;
+
+	while (i < branches.length) {
+		if (branches[i] !== '{') {
+			i++;
+			continue;
+		}
+
+		const end = findClosingBrace(branches, i);
+		if (end === -1) {
+			return;
+		}
+
+		walkIcuArguments(branches.slice(i + 1, end), visit);
+		i = end + 1;
+	}
+}
+
+/**
+ * Extract the sorted, de-duplicated placeholder tokens of a string
+ * @example extractPlaceholders('Hi {{name}}, $t(common:you)') // ['$t(common:you)', '{{name}}']
+ */
+function extractPlaceholders(str) {
+	const tokens = new Set();
+
+	const withoutI18next = str.replace(I18NEXT_PATTERN, (match, name) => {
+		tokens.add(`{{${name.split(',')[0].trim()}}}`);
+		return '';
+	});
+
+	const withoutNesting = withoutI18next.replace(NESTING_PATTERN, (match, key) => {
+		tokens.add(`$t(${key.replace(/^['"]|['"]$/g, '')})`);
+		return '';
+	});
+
+	walkIcuArguments(withoutNesting, (name) => tokens.add(`{${name}}`));
+
+	return [...tokens].sort();
+}
+
+const NUMBER_FORMATS = new Set(['number', 'currency', 'plural', 'selectordinal', 'relativetime']);
+const DATE_FORMATS = new Set(['datetime', 'date', 'time']);
+
+/**
+ * TypeScript type of an interpolation variable from its name and format
+ */
+function getParamType(name, format) {
+	if (name === 'count' || NUMBER_FORMATS.has(format)) {
+		return 'number';
+	}
+	if (DATE_FORMATS.has(format)) {
+		return 'Date';
+	}
+	return 'string';
+}
+
+/**
+ * Extract interpolation variables (not $t nesting) with their TypeScript type
+ * @example extractParams('{{count}} items for {{name}}') // { count: 'number', name: 'string' }
+ */
+function extractParams(str) {
+	const params = {};
+
+	const addParam = (name, format) => {
+		const type = getParamType(name, format && format.trim().toLowerCase());
+		// A variable used as a number anywhere stays a number
+		if (params[name] !== 'number') {
+			params[name] = type;
+		}
+	};
+
+	const withoutI18next = str.replace(I18NEXT_PATTERN, (match, inner) => {
+		const [name, format] = inner.split(',');
+		addParam(name.trim(), format);
+		return '';
+	});
+
+	walkIcuArguments(withoutI18next.replace(NESTING_PATTERN, ''), addParam);
+
+	return params;
+}
+
+/**
+ * Compare the placeholders of a translation with its reference string
+ * @returns {{ missing: string[], extra: string[] } | null} null when they match
+ */
+function comparePlaceholders(reference, translation) {
+	if (typeof reference !== 'string' || typeof translation !== 'string') {
+		return null;
+	}
+
+	const expected = extractPlaceholders(reference);
+	const actual = extractPlaceholders(translation);
+
+	const missing = expected.filter((token) => !actual.includes(token));
+	const extra = actual.filter((token) => !expected.includes(token));
+
+	return missing.length || extra.length ? { missing, extra } : null;
+}
+
+function addMismatches(report, lang, inputFile, mismatches) {
+	if (mismatches.length === 0) {
+		return;
+	}
+
+	report[lang] = report[lang] || {};
+	report[lang][inputFile] = mismatches;
+}
+
+function countMismatches(report) {
+	return Object.values(report).reduce(
+		(total, files) =>
+			total + Object.values(files).reduce((sum, mismatches) => sum + mismatches.length, 0),
+		0
+	);
+}
+
+function formatMismatch({ missing, extra }) {
+	const parts = [];
+	if (missing.length) {
+		parts.push(`missing ${missing.join(', ')}`);
+	}
+	if (extra.length) {
+		parts.push(`unexpected ${extra.join(', ')}`);
+	}
+	return parts.join('; ');
+}
+
+function printPlaceholderReport(report, referenceLanguage) {
+	const total = countMismatches(report);
+
+	if (total === 0) {
+		return;
+	}
+
+	console.warn(`\n⚠️  Placeholder mismatches: ${total} (reference: ${referenceLanguage})`);
+
+	Object.keys(report).forEach((lang) => {
+		Object.keys(report[lang]).forEach((inputFile) => {
+			report[lang][inputFile].forEach((mismatch) => {
+				console.warn(`   ${lang} ${inputFile} ${mismatch.key}: ${formatMismatch(mismatch)}`);
+			});
+		});
+	});
+}
+
+module.exports = {
+	findClosingBrace,
+	extractPlaceholders,
+	extractParams,
+	comparePlaceholders,
+	formatMismatch,
+	addMismatches,
+	countMismatches,
+	printPlaceholderReport,
+};
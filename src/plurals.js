@@ -0,0 +1,249 @@
+/**
+ * Plural and context expansion (`outputFormat` option)
+ *
+ * A plural value is an object whose keys are CLDR plural categories
+ * (`zero`, `one`, `two`, `few`, `many`, `other`) or ICU exact values (`=0`, `=1`…):
+ *
+ *   "item": { "en": { "one": "{{count}} item", "other": "{{count}} items" },
+ *             "ru": { "one": "…", "few": "…", "many": "…", "other": "…" } }
+ *
+ * A leaf with `_select: '<variable>'` has context values: objects keyed by context,
+ * with `other` for the default, whose values are texts or plural values:
+ *
+ *   "friend": { "_select": "gender", "en": { "male": "…", "female": "…", "other": "…" } }
+ *
+ * - 'i18next' (default) writes i18next v4 keys: `item_one`, `item_other`, `friend_male`,
+ *   `friend_male_one`; the `other` context is the key itself. Exact values are ICU only:
+ *   they are left out and reported as unsupported (`item_=0`).
+ * - 'icu' writes a single message: `{count, plural, one {…} other {…}}`,
+ *   `{gender, select, male {…} other {…}}`; i18next interpolations in the texts
+ *   (`{{count}}`, `{{price, number}}`) are converted to ICU arguments (`{count}`, `{price, number}`)
+ *
+ * The categories a language needs come from Intl.PluralRules; the missing ones are
+ * reported as missing keys `<key>_<category>`. A context value without `other` is
+ * reported as the missing key itself: i18next has no default and ICU requires it.
+ */
+
+const OUTPUT_FORMATS = ['i18next', 'icu'];
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+const EXACT_VALUE = /^=\d+$/;
+
+// Count variable of ICU plural messages, as in i18next
+const COUNT_VARIABLE = 'count';
+
+// i18next interpolation: `{{name}}`, `{{- name}}` (unescaped), `{{value, format}}`
+const INTERPOLATION = /\{\{-?\s*([^{}]+?)\s*\}\}/g;
+
+const categoryCache = new Map();
+
+/**
+ * Validate the `outputFormat` option
+ * @returns {string} The format, 'i18next' when unset
+ */
+function getOutputFormat(outputFormat = 'i18next') {
+	if (!OUTPUT_FORMATS.includes(outputFormat)) {
+		throw new Error(`Invalid outputFormat ${JSON.stringify(outputFormat)}: expected ${OUTPUT_FORMATS.join(' or ')}`);
+	}
+
+	return outputFormat;
+}
+
+/**
+ * Plural categories used by a language, in CLDR order
+ * @example getPluralCategories('ru') // ['one', 'few', 'many', 'other']
+ */
+function getPluralCategories(lang) {
+	if (!categoryCache.has(lang)) {
+		let categories;
+
+		try {
+			categories = new Intl.PluralRules(lang).resolvedOptions().pluralCategories;
+		} catch (error) {
+			// Not a valid language tag
+			categories = ['other'];
+		}
+
+		categoryCache.set(lang, PLURAL_CATEGORIES.filter((category) => categories.includes(category)));
+	}
+
+	return categoryCache.get(lang);
+}
+
+function isPlainObject(value) {
+	return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPluralValue(value) {
+	const keys = isPlainObject(value) ? Object.keys(value) : [];
+
+	return keys.length > 0 && keys.every((key) => PLURAL_CATEGORIES.includes(key) || EXACT_VALUE.test(key));
+}
+
+/**
+ * Whether a translation is a context value: an object keyed by context (leaf with `_select`)
+ */
+function isContextValue(value, select) {
+	return Boolean(select) && isPlainObject(value) && !isPluralValue(value);
+}
+
+/**
+ * Check the categories of a plural value against the language
+ * @returns {{ missing: string[], unused: string[], unsupported: string[] }} `unused` lists
+ * categories the language never selects, `unsupported` the exact values of the 'i18next' format
+ */
+function checkPluralCategories(value, lang, outputFormat = 'i18next') {
+	const categories = getPluralCategories(lang);
+	const keys = Object.keys(value);
+	const exact = keys.filter((key) => EXACT_VALUE.test(key));
+
+	return {
+		missing: categories.filter((category) => !keys.includes(category)),
+		unused: keys.filter(
+			(key) => !EXACT_VALUE.test(key) && !categories.includes(key) && !(key === 'zero' && outputFormat !== 'icu')
+		),
+		unsupported: outputFormat === 'icu' ? [] : exact,
+	};
+}
+
+/**
+ * Text of an ICU message, with i18next interpolations converted
+ * @example toIcuText('{{count}} items') // '{count} items'
+ */
+function toIcuText(text) {
+	return String(text).replace(INTERPOLATION, '{$1}');
+}
+
+function toIcuBranches(value, format) {
+	return Object.keys(value)
+		.map((key) => `${key} {${format(value[key], key)}}`)
+		.join(' ');
+}
+
+/**
+ * Expand a plural value
+ * i18next keeps `zero` for every language: it is used for a count of 0 when present
+ */
+function expandPlural(value, lang, outputFormat) {
+	const { missing, unsupported } = checkPluralCategories(value, lang, outputFormat);
+
+	if (outputFormat === 'icu') {
+		return {
+			entries: [['', `{${COUNT_VARIABLE}, plural, ${toIcuBranches(value, toIcuText)}}`]],
+			missing: missing.map((category) => `_${category}`),
+			unsupported: [],
+		};
+	}
+
+	const categories = getPluralCategories(lang);
+
+	return {
+		entries: Object.keys(value)
+			.filter((key) => categories.includes(key) || key === 'zero')
+			.map((category) => [`_${category}`, value[category]]),
+		missing: missing.map((category) => `_${category}`),
+		unsupported: unsupported.map((key) => `_${key}`),
+	};
+}
+
+// The `other` context is the key itself
+function getContextSuffix(context) {
+	return context === 'other' ? '' : `_${context}`;
+}
+
+/**
+ * Expand a context value (leaf with `_select`)
+ */
+function expandSelect(value, variable, lang, outputFormat) {
+	// The `other` context is the default of both formats
+	const missingOther = value.other === undefined ? [''] : [];
+
+	if (outputFormat === 'icu') {
+		const missing = [...missingOther];
+		const format = (text, context) => {
+			if (!isPluralValue(text)) {
+				return toIcuText(text);
+			}
+
+			const plural = expandPlural(text, lang, outputFormat);
+			missing.push(...plural.missing.map((category) => `${getContextSuffix(context)}${category}`));
+			return plural.entries[0][1];
+		};
+
+		return { entries: [['', `{${variable}, select, ${toIcuBranches(value, format)}}`]], missing, unsupported: [] };
+	}
+
+	return Object.keys(value).reduce(
+		(expanded, context) => {
+			const suffix = getContextSuffix(context);
+			const text = value[context];
+
+			if (isPluralValue(text)) {
+				const plural = expandPlural(text, lang, outputFormat);
+				expanded.entries.push(...plural.entries.map(([category, form]) => [`${suffix}${category}`, form]));
+				expanded.missing.push(...plural.missing.map((category) => `${suffix}${category}`));
+				expanded.unsupported.push(...plural.unsupported.map((key) => `${suffix}${key}`));
+			} else {
+				expanded.entries.push([suffix, text]);
+			}
+			return expanded;
+		},
+		{ entries: [], missing: missingOther, unsupported: [] }
+	);
+}
+
+/**
+ * Output entries of a translation for `lang`
+ * `select` is the `_select` variable of the leaf, if any
+ * @returns {{ entries: [string, *][], missing: string[], unsupported: string[] }} `entries` are
+ * [keySuffix, value] pairs ('' for the key itself); `missing` lists the suffixes of missing
+ * plural forms and contexts, and `unsupported` the ones left out (exact values with 'i18next')
+ * @example expandTranslation({ one: 'a', other: 'b', '=0': 'none' }, 'en')
+ * // { entries: [['_one', 'a'], ['_other', 'b']], missing: [], unsupported: ['_=0'] }
+ */
+function expandTranslation(value, lang, { outputFormat = 'i18next', select } = {}) {
+	if (isContextValue(value, select)) {
+		return expandSelect(value, select, lang, outputFormat);
+	}
+
+	if (isPluralValue(value)) {
+		return expandPlural(value, lang, outputFormat);
+	}
+
+	const text = outputFormat === 'icu' && typeof value === 'string' ? toIcuText(value) : value;
+
+	return { entries: [['', text]], missing: [], unsupported: [] };
+}
+
+/**
+ * Print the plural forms left out of the outputs
+ * `report` is { [lang]: { [inputFile]: ['key_=0'] } }
+ */
+function printUnsupportedReport(report) {
+	const lines = [];
+
+	Object.keys(report).forEach((lang) => {
+		Object.keys(report[lang]).forEach((inputFile) => {
+			lines.push(`   ${lang} ${inputFile}: ${report[lang][inputFile].join(', ')}`);
+		});
+	});
+
+	if (lines.length > 0) {
+		console.warn(`\n⚠️  Exact plural values left out (outputFormat 'i18next' has no exact forms, use 'icu'):`);
+		lines.forEach((line) => console.warn(line));
+	}
+}
+
+module.exports = {
+	OUTPUT_FORMATS,
+	PLURAL_CATEGORIES,
+	getOutputFormat,
+	getPluralCategories,
+	isPluralValue,
+	isContextValue,
+	checkPluralCategories,
+	getContextSuffix,
+	expandTranslation,
+	printUnsupportedReport,
+};
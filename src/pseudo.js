@@ -0,0 +1,149 @@
+const { findClosingBrace } = require('./placeholders.js');
+
+/**
+ * Pseudo-localization (`pseudoLanguages` option)
+ *
+ * Pseudo languages are derived from the reference language and written to
+ * `outputDir` like the others, so hard-coded strings (left unchanged on screen),
+ * truncation and layout issues show up before real translations arrive:
+ * - en-XA: accented and about 40% longer, between brackets: `[Šåvé one two]`
+ * - ar-XB: right-to-left, the text shown mirrored (bidi override characters)
+ *
+ * Only text is changed: i18next `{{placeholders}}`, ICU `{arguments}`, `$t(nesting)`,
+ * HTML and `<0>` component tags and HTML entities are kept as they are.
+ */
+
+const ACCENTS = {
+	a: 'å', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'î', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+	n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'û', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+	A: 'Å', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Î', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+	N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž',
+};
+
+const PADDING_WORDS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+const EXPANSION = 0.4;
+
+// Right-to-left mark and override, and the end of the override
+const RTL_START = '\u200F\u202E';
+const RTL_END = '\u202C\u200F';
+
+// Kept as they are (ICU arguments are matched by brace)
+const TOKEN_PATTERNS = [
+	/^\{\{[^{}]*\}\}/,
+	/^\$t\([^)]*\)/,
+	/^<\/?[A-Za-z0-9][^<>]*>/,
+	/^&(#\d+|#x[0-9A-Fa-f]+|\w+);/,
+];
+
+function accent(text) {
+	return text.replace(/[A-Za-z]/g, (char) => ACCENTS[char]);
+}
+
+function pad(length) {
+	const words = [];
+	let size = 0;
+
+	while (size < length) {
+		const word = PADDING_WORDS[words.length % PADDING_WORDS.length];
+		words.push(word);
+		size += word.length + 1;
+	}
+	return words.join(' ');
+}
+
+const TRANSFORMS = {
+	'en-XA': (segments) => {
+		const letters = segments.filter(({ token }) => !token).reduce((sum, { text }) => sum + text.length, 0);
+		const text = segments.map(({ token, text }) => (token ? text : accent(text))).join('');
+		const padding = Math.ceil(letters * EXPANSION);
+
+		return `[${text}${padding > 0 ? ` ${pad(padding)}` : ''}]`;
+	},
+	'ar-XB': (segments) =>
+		segments.map(({ token, text }) => (token || !text.trim() ? text : `${RTL_START}${text}${RTL_END}`)).join(''),
+};
+
+const PSEUDO_LANGUAGES = Object.keys(TRANSFORMS);
+
+/**
+ * Split a text into text and token segments
+ * @returns {{ text: string, token: boolean }[]}
+ */
+function tokenize(text) {
+	const segments = [];
+	let start = 0;
+	let index = 0;
+
+	const push = (end, token) => {
+		if (start < index) {
+			segments.push({ text: text.slice(start, index), token: false });
+		}
+		segments.push({ text: text.slice(index, end), token });
+		index = end;
+		start = end;
+	};
+
+	while (index < text.length) {
+		const rest = text.slice(index);
+		const pattern = TOKEN_PATTERNS.find((candidate) => candidate.test(rest));
+		const end = pattern
+			? index + rest.match(pattern)[0].length
+			: text[index] === '{' && findClosingBrace(text, index) + 1;
+
+		if (end) {
+			push(end, true);
+		} else {
+			index += 1;
+		}
+	}
+
+	if (start < text.length) {
+		segments.push({ text: text.slice(start), token: false });
+	}
+	return segments;
+}
+
+/**
+ * Validate the `pseudoLanguages` option
+ * `true` enables every pseudo language; languages of `languages` are real ones
+ * @returns {string[]} Enabled pseudo languages
+ */
+function getPseudoLanguages(pseudoLanguages, languages = []) {
+	if (!pseudoLanguages) {
+		return [];
+	}
+
+	const enabled = pseudoLanguages === true ? PSEUDO_LANGUAGES : [].concat(pseudoLanguages);
+
+	enabled.forEach((lang) => {
+		if (!PSEUDO_LANGUAGES.includes(lang)) {
+			throw new Error(`Invalid pseudoLanguages entry ${JSON.stringify(lang)}: expected ${PSEUDO_LANGUAGES.join(' or ')}`);
+		}
+	});
+
+	return enabled.filter((lang) => !languages.includes(lang));
+}
+
+/**
+ * Pseudo-localize every string of a value (arrays and objects included)
+ * @example pseudoLocalize('Hi {{name}}', 'en-XA') // '[Ĥî {{name}} one]'
+ */
+function pseudoLocalize(value, lang) {
+	if (typeof value === 'string') {
+		return value === '' ? value : TRANSFORMS[lang](tokenize(value));
+	}
+	if (Array.isArray(value)) {
+		return value.map((item) => pseudoLocalize(item, lang));
+	}
+	if (value && typeof value === 'object') {
+		return Object.fromEntries(Object.keys(value).map((key) => [key, pseudoLocalize(value[key], lang)]));
+	}
+	return value;
+}
+
+module.exports = {
+	PSEUDO_LANGUAGES,
+	getPseudoLanguages,
+	pseudoLocalize,
+};
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Source file readers
+ *
+ * - .json                      JSON.parse
+ * - .jsonc / .json5            `json5` package (comments, trailing commas, multi-line strings)
+ * - .yaml / .yml               `yaml` package
+ * - .js / .cjs                 require(), `jiti` for ES modules
+ * - .mjs / .ts / .mts / .cts   `jiti` package
+ *
+ * Parsers other than JSON are optional peer dependencies, loaded on first use.
+ * Parse errors are thrown as SourceParseError with file, line and column.
+ */
+
+const SOURCE_EXTENSIONS = [
+	'.json',
+	'.jsonc',
+	'.json5',
+	'.yaml',
+	'.yml',
+	'.js',
+	'.cjs',
+	'.mjs',
+	'.ts',
+	'.mts',
+	'.cts',
+];
+
+class SourceParseError extends Error {
+	constructor(filePath, reason, line, column) {
+		super(`${filePath}${line ? `:${line}:${column}` : ''}: ${reason}`);
+		this.name = 'SourceParseError';
+		this.filePath = filePath;
+		this.reason = reason;
+		this.line = line;
+		this.column = column;
+	}
+}
+
+/**
+ * Whether a file name is a supported source file (type declarations are skipped)
+ */
+function isSourceFile(file) {
+	return SOURCE_EXTENSIONS.includes(path.extname(file)) && !/\.d\.[cm]?ts$/.test(file);
+}
+
+// Static requires inside try: the bundles keep them as plain require() calls (see rollup.config.js)
+function loadOptional(name, extension) {
+	try {
+		switch (name) {
+			case 'json5':
+				return require('json5');
+			case 'yaml':
+				return require('yaml');
+			case 'jiti':
+				return require('jiti');
+			default:
+				throw new Error(`Unknown optional package "${name}"`);
+		}
+	} catch (error) {
+		if (error.code === 'MODULE_NOT_FOUND') {
+			throw new Error(
+				`Reading ${extension} sources requires the "${name}" package: npm install -D ${name}`
+			);
+		}
+		throw error;
+	}
+}
+
+/**
+ * Convert the "position N" of a JSON.parse error into line/column
+ */
+function getJSONErrorLocation(fileContent, error) {
+	const match = /position (\d+)/.exec(error.message);
+	if (!match) {
+		return {};
+	}
+
+	const before = fileContent.slice(0, Number(match[1])).split('\n');
+	return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function parseJSON(filePath, fileContent) {
+	try {
+		return JSON.parse(fileContent);
+	} catch (error) {
+		const { line, column } = getJSONErrorLocation(fileContent, error);
+		throw new SourceParseError(filePath, error.message.replace(/ at position \d+.*$/, ''), line, column);
+	}
+}
+
+function parseJSON5(filePath, fileContent, extension) {
+	const JSON5 = loadOptional('json5', extension);
+
+	try {
+		return JSON5.parse(fileContent);
+	} catch (error) {
+		throw new SourceParseError(
+			filePath,
+			error.message.replace(/ at \d+:\d+$/, ''),
+			error.lineNumber,
+			error.columnNumber
+		);
+	}
+}
+
+function parseYAML(filePath, fileContent, extension) {
+	const YAML = loadOptional('yaml', extension);
+
+	try {
+		return YAML.parse(fileContent);
+	} catch (error) {
+		const [start] = error.linePos || [];
+		throw new SourceParseError(
+			filePath,
+			error.message.split('\n')[0].replace(/ at line \d+, column \d+:$/, ''),
+			start && start.line,
+			start && start.col
+		);
+	}
+}
+
+/**
+ * Read line/column of a module syntax error from its stack
+ * (`/path/file.js:2` followed by the source line and a `^` marker)
+ */
+function getModuleErrorLocation(filePath, error) {
+	const lines = String(error.stack).split('\n');
+	const index = lines.findIndex((text) => text.startsWith(`${path.resolve(filePath)}:`));
+	if (index === -1) {
+		return {};
+	}
+
+	const line = Number(lines[index].slice(path.resolve(filePath).length + 1));
+	const marker = lines[index + 2] || '';
+	return { line, column: marker.includes('^') ? marker.indexOf('^') + 1 : 1 };
+}
+
+function loadWithJiti(filePath, extension) {
+	const { createJiti } = loadOptional('jiti', extension);
+	// No module cache, so watch mode picks up edits
+	const jiti = createJiti(__filename, { moduleCache: false });
+
+	return jiti(path.resolve(filePath));
+}
+
+function loadModule(filePath, extension) {
+	let exported;
+
+	try {
+		if (extension === '.js' || extension === '.cjs') {
+			const resolved = require.resolve(path.resolve(filePath));
+			delete require.cache[resolved];
+
+			try {
+				exported = require(resolved);
+			} catch (error) {
+				if (error.code !== 'ERR_REQUIRE_ESM') {
+					throw error;
+				}
+				exported = loadWithJiti(filePath, extension);
+			}
+		} else {
+			exported = loadWithJiti(filePath, extension);
+		}
+	} catch (error) {
+		if (error instanceof SyntaxError) {
+			const { line, column } = getModuleErrorLocation(filePath, error);
+			throw new SourceParseError(filePath, error.message, line, column);
+		}
+
+		// jiti reports "ParseError: <reason>\n <file>:<line>:<column>"
+		const match = /^ParseError: ([^\n]*)\n\s*.*:(\d+):(\d+)$/.exec(error.message);
+		if (match) {
+			throw new SourceParseError(filePath, match[1].trim(), Number(match[2]), Number(match[3]));
+		}
+		throw error;
+	}
+
+	return exported && exported.__esModule ? exported.default : exported;
+}
+
+/**
+ * Parse the text of a source file according to its extension
+ */
+function parseSource(filePath, fileContent) {
+	const extension = path.extname(filePath);
+
+	switch (extension) {
+		case '.jsonc':
+		case '.json5':
+			return parseJSON5(filePath, fileContent, extension);
+		case '.yaml':
+		case '.yml':
+			return parseYAML(filePath, fileContent, extension);
+		default:
+			return parseJSON(filePath, fileContent);
+	}
+}
+
+/**
+ * Read and parse any supported source file
+ */
+function readSource(filePath) {
+	const extension = path.extname(filePath);
+
+	if (['.js', '.cjs', '.mjs', '.ts', '.mts', '.cts'].includes(extension)) {
+		return loadModule(filePath, extension);
+	}
+
+	return parseSource(filePath, fs.readFileSync(filePath, 'utf-8'));
+}
+
+module.exports = {
+	SOURCE_EXTENSIONS,
+	SourceParseError,
+	isSourceFile,
+	loadOptional,
+	parseSource,
+	readSource,
+};
@@ -0,0 +1,76 @@
+const path = require('path');
+const i18nGenerator = require('./i18n-generator.js');
+const { resolveInputFiles, getInputRoots } = require('./inputs.js');
+const { isSourceFile } = require('./readers.js');
+
+/**
+ * Rollup plugin that emits the language files as assets of the bundle
+ * (`emit: 'assets'`, default) or writes them to `outputDir` (`emit: 'disk'`)
+ *
+ * Source files and input directories are watched: `rollup --watch` rebuilds
+ * when they change, and rebuilds triggered by other files reuse the last output.
+ * Generation errors fail the build.
+ *
+ * @example
+ * // rollup.config.js
+ * const { i18nGeneratorRollup } = require('@mg/i18n-generator');
+ *
+ * module.exports = {
+ *   plugins: [
+ *     i18nGeneratorRollup({
+ *       languages: ['vi', 'en'],
+ *       inputDir: './src/translations',
+ *       outputDir: 'locales', // <output.dir>/locales/<lang>/<name>.json
+ *     }),
+ *   ],
+ * };
+ */
+function i18nGeneratorRollup(options) {
+	const emit = options.emit || 'assets';
+	const generator = new i18nGenerator({ ...options, emit });
+	// Outputs of the last build, dropped when a source file changes
+	let built = null;
+
+	const isInputPath = (id) =>
+		isSourceFile(id) &&
+		getInputRoots(generator).some((root) => path.resolve(id).startsWith(path.resolve(root) + path.sep));
+
+	return {
+		name: 'i18n-generator',
+
+		buildStart() {
+			getInputRoots(generator).forEach((root) => this.addWatchFile(path.resolve(root)));
+
+			try {
+				const sources = resolveInputFiles(generator);
+				sources.forEach(({ filePath }) => this.addWatchFile(path.resolve(filePath)));
+
+				if (emit === 'disk') {
+					generator.generateAll();
+					return;
+				}
+
+				if (generator.emitLoader) {
+					this.warn("emitLoader imports the files from disk and is ignored with emit: 'assets'");
+				}
+
+				const assetDir = generator.getAssetDir();
+				built = built || generator.buildAll(sources).outputs;
+
+				built.forEach(({ file, content }) => {
+					this.emitFile({ type: 'asset', fileName: path.posix.join(assetDir, file), source: content });
+				});
+			} catch (error) {
+				this.error(`i18nGenerator Error: ${error.message}`);
+			}
+		},
+
+		watchChange(id) {
+			if (isInputPath(id)) {
+				built = null;
+			}
+		},
+	};
+}
+
+module.exports = i18nGeneratorRollup;
@@ -0,0 +1,93 @@
+/**
+ * When the webpack plugins generate (`mode` option)
+ *
+ * - 'always'        every build and rebuild (default)
+ * - 'build-only'    single builds only, not `webpack --watch` / dev-server
+ * - 'watch'         watch mode only
+ * - 'script:<name>' when run from the npm script <name> (npm_lifecycle_event)
+ * - 'env:<NAME>'    when the environment variable NAME is set (not '', '0' or 'false')
+ * - 'env:<NAME>=<value>' when NAME equals value
+ */
+
+const DEFAULT_MODE = 'always';
+
+const FIXED_MODES = ['always', 'build-only', 'watch'];
+
+/**
+ * Validate the `mode` option
+ * @returns {string} The mode, 'always' when unset
+ */
+function getRunMode(mode = DEFAULT_MODE) {
+	const valid =
+		FIXED_MODES.includes(mode) || /^script:.+/.test(mode) || /^env:[^=]+(=.*)?$/.test(mode);
+
+	if (typeof mode !== 'string' || !valid) {
+		throw new Error(
+			`Invalid mode ${JSON.stringify(mode)}: expected ${FIXED_MODES.join(', ')}, script:<name> or env:<NAME>[=<value>]`
+		);
+	}
+
+	return mode;
+}
+
+/**
+ * Decide whether to generate for this build
+ * @returns {{ run: boolean, reason: string }} `reason` explains a skip
+ */
+function checkRunMode(mode, { watching = false, env = process.env } = {}) {
+	if (mode === 'build-only') {
+		return { run: !watching, reason: "mode is 'build-only' and webpack is watching" };
+	}
+
+	if (mode === 'watch') {
+		return { run: watching, reason: "mode is 'watch' and webpack is not watching" };
+	}
+
+	if (mode.startsWith('script:')) {
+		const script = mode.slice('script:'.length);
+		const current = env.npm_lifecycle_event;
+
+		return {
+			run: current === script,
+			reason: current
+				? `mode is '${mode}' and the npm script is '${current}'`
+				: `mode is '${mode}' and webpack was not started by an npm script`,
+		};
+	}
+
+	if (mode.startsWith('env:')) {
+		const [name, expected] = mode.slice('env:'.length).split(/=(.*)/);
+		const value = env[name];
+		const run =
+			expected === undefined ? value !== undefined && !['', '0', 'false'].includes(value) : value === expected;
+
+		return { run, reason: `mode is '${mode}' and ${name} is ${value === undefined ? 'not set' : `'${value}'`}` };
+	}
+
+	return { run: true, reason: '' };
+}
+
+/**
+ * Run check for a plugin instance: `(compiler) => boolean`
+ * The first skipped build is logged with its reason
+ */
+function createRunCheck(mode, pluginName) {
+	let logged = false;
+
+	return (compiler) => {
+		const { run, reason } = checkRunMode(mode, { watching: Boolean(compiler.watchMode) });
+
+		if (!run && !logged) {
+			console.log(`⏭️  ${pluginName} skipped: ${reason}`);
+			logged = true;
+		}
+
+		return run;
+	};
+}
+
+module.exports = {
+	getRunMode,
+	checkRunMode,
+	createRunCheck,
+};
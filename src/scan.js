@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveInputFiles, matchGlob, getNamespace } = require('./inputs.js');
+const { readSource } = require('./readers.js');
+const { resolveOptions, extract } = require('./core.js');
+const { tokenize } = require('./js-tokens.js');
+
+/**
+ * Translation usage scan for `i18n-gen scan`
+ *
+ * Reads the application code (`scan` option, JS/TS/JSX/TSX files, see js-tokens.js) for
+ * - `t('key')`, `t('ns:key')`, `i18n.t('key', { ns: 'ns' })`
+ * - `useTranslation('ns')` / `withTranslation(['ns'])`, with `{ keyPrefix }`: namespace
+ *   and prefix of the `t()` calls that follow in the same block (the component's
+ *   function body), or in the rest of the file when called outside any block
+ * - `<Trans i18nKey="key" ns="ns">`
+ * and compares them with the keys the generator writes for the reference language.
+ * Issues, in the `check` format (see check.js):
+ * - missing-key: used key that no source file defines
+ * - unused-key (warning): key no scanned file uses
+ * - dynamic-key (warning): key computed at runtime; keys starting with its static
+ *   part (`status.${code}` → `status.`) count as used
+ * A key used without a suffix also matches its plural and context keys (`item_one`).
+ */
+
+const DEFAULT_INCLUDE = ['./src/**/*'];
+const DEFAULT_NAMESPACE = 'translation';
+const CODE_FILE = /\.(jsx?|tsx?|mjs|cjs|mts|cts)$/;
+const HOOKS = new Set(['useTranslation', 'withTranslation']);
+
+/**
+ * Normalize `scan` (globs or { include, defaultNamespace })
+ */
+function getScanOptions(config) {
+	const { scan = {} } = config;
+	const options = typeof scan === 'string' || Array.isArray(scan) ? { include: scan } : scan;
+
+	return {
+		include: [].concat(options.include || DEFAULT_INCLUDE),
+		defaultNamespace: options.defaultNamespace || DEFAULT_NAMESPACE,
+	};
+}
+
+/**
+ * Code files matched by the `include` globs, files and directories (searched
+ * recursively); node_modules and .d.ts files are excluded
+ * @returns {string[]}
+ */
+function resolveCodeFiles(include) {
+	const files = new Set();
+
+	include.forEach((pattern) => {
+		const isFile = !/[*?]/.test(pattern) && fs.existsSync(pattern) && fs.statSync(pattern).isFile();
+		const matches = isFile
+			? [pattern]
+			: matchGlob(/[*?]/.test(pattern) ? pattern : path.join(pattern, '**', '*')).map(({ filePath }) => filePath);
+
+		matches
+			.filter((filePath) => CODE_FILE.test(filePath) && !/\.d\.[cm]?ts$/.test(filePath))
+			.filter((filePath) => !filePath.split(/[\\/]/).includes('node_modules'))
+			.forEach((filePath) => files.add(filePath));
+	});
+
+	return [...files].sort();
+}
+
+/**
+ * Index of the token closing the bracket at `start` (`(`, `[` or `{`)
+ */
+function findClosing(tokens, start) {
+	const open = tokens[start].value;
+	const close = { '(': ')', '[': ']', '{': '}' }[open];
+	let depth = 0;
+
+	for (let i = start; i < tokens.length; i++) {
+		if (tokens[i].type === 'punct' && tokens[i].value === open) {
+			depth += 1;
+		} else if (tokens[i].type === 'punct' && tokens[i].value === close) {
+			depth -= 1;
+			if (depth === 0) {
+				return i;
+			}
+		}
+	}
+	return tokens.length;
+}
+
+function isPunct(token, value) {
+	return Boolean(token) && token.type === 'punct' && token.value === value;
+}
+
+/**
+ * String value of an object literal property (`{ ns: 'common' }`) between `start` and `end`
+ */
+function findProperty(tokens, start, end, name) {
+	for (let i = start; i < end; i++) {
+		if (tokens[i].type === 'name' && tokens[i].value === name && isPunct(tokens[i + 1], ':')) {
+			return tokens[i + 2] && tokens[i + 2].type === 'string' ? tokens[i + 2].value : undefined;
+		}
+	}
+	return undefined;
+}
+
+/**
+ * Key argument at `index`: a string, or the static start of a dynamic key
+ * (template literal, concatenation)
+ * @returns {{ key?: string, prefix?: string }}
+ */
+function readKey(tokens, index) {
+	const token = tokens[index];
+
+	if (token.type === 'string') {
+		return isPunct(tokens[index + 1], '+') ? { prefix: token.value } : { key: token.value };
+	}
+	return { prefix: token.type === 'template' ? token.value : '' };
+}
+
+/**
+ * Translation usages of one code file
+ * @returns {{ namespace?: string, key?: string, prefix?: string, line: number, column: number }[]}
+ * `namespace` is unset when the key has none and no hook gave one
+ */
+function findUsages(code) {
+	const tokens = tokenize(code);
+	const usages = [];
+	// Namespace and key prefix of the last useTranslation() of each open block,
+	// innermost last: { depth, namespace, keyPrefix }
+	const scopes = [];
+	// Number of `{` open around the current token
+	let depth = 0;
+
+	// Namespace: `ns:` in the key, then the `ns` option, then the hook;
+	// the hook's keyPrefix only applies along with its namespace
+	const addUsage = (token, { key, prefix }, namespace) => {
+		const value = key !== undefined ? key : prefix;
+		const separator = value.indexOf(':');
+		const usage = { line: token.line, column: token.column };
+		const field = key !== undefined ? 'key' : 'prefix';
+
+		if (separator > 0) {
+			usage.namespace = value.slice(0, separator);
+			usage[field] = value.slice(separator + 1);
+		} else if (namespace) {
+			usage.namespace = namespace;
+			usage[field] = value;
+		} else {
+			const scope = scopes[scopes.length - 1] || {};
+			usage.namespace = scope.namespace;
+			usage[field] = scope.keyPrefix ? `${scope.keyPrefix}.${value}` : value;
+		}
+		usages.push(usage);
+	};
+
+	tokens.forEach((token, index) => {
+		const previous = tokens[index - 1];
+		const next = tokens[index + 1];
+
+		if (isPunct(token, '{')) {
+			depth += 1;
+		} else if (isPunct(token, '}')) {
+			depth -= 1;
+			// Hooks of the closed block no longer apply
+			while (scopes.length > 0 && scopes[scopes.length - 1].depth > depth) {
+				scopes.pop();
+			}
+		}
+
+		if (token.type !== 'name') {
+			return;
+		}
+
+		if (HOOKS.has(token.value) && isPunct(next, '(')) {
+			const end = findClosing(tokens, index + 1);
+			const first = tokens[index + 2];
+			const namespaces = isPunct(first, '[') ? tokens[index + 3] : first;
+
+			const scope = {
+				depth,
+				namespace: namespaces && namespaces.type === 'string' ? namespaces.value : undefined,
+				keyPrefix: findProperty(tokens, index + 2, end, 'keyPrefix'),
+			};
+
+			// A later hook of the same block replaces the previous one
+			if (scopes.length > 0 && scopes[scopes.length - 1].depth === depth) {
+				scopes.pop();
+			}
+			scopes.push(scope);
+		} else if (token.value === 't' && isPunct(next, '(') && !(previous && previous.value === 'function')) {
+			const end = findClosing(tokens, index + 1);
+
+			if (index + 2 < end) {
+				addUsage(token, readKey(tokens, index + 2), findProperty(tokens, index + 3, end, 'ns'));
+			}
+		} else if (token.value === 'Trans' && isPunct(previous, '<')) {
+			let end = index + 1;
+			while (end < tokens.length && !isPunct(tokens[end], '>')) {
+				end = isPunct(tokens[end], '{') ? findClosing(tokens, end) + 1 : end + 1;
+			}
+
+			const attribute = (name) => {
+				for (let i = index + 1; i < end; i++) {
+					if (tokens[i].type === 'name' && tokens[i].value === name && isPunct(tokens[i + 1], '=')) {
+						return isPunct(tokens[i + 2], '{') ? i + 3 : i + 2;
+					}
+				}
+				return -1;
+			};
+
+			const keyIndex = attribute('i18nKey');
+			const nsIndex = attribute('ns');
+
+			if (keyIndex !== -1) {
+				const namespace = nsIndex !== -1 && tokens[nsIndex].type === 'string' ? tokens[nsIndex].value : undefined;
+				addUsage(tokens[keyIndex], readKey(tokens, keyIndex), namespace);
+			}
+		}
+	});
+
+	return usages;
+}
+
+/**
+ * Keys written for the reference language, per namespace
+ * @returns {Map<string, { file: string, keys: string[] }>}
+ */
+function collectKeys(config) {
+	const options = resolveOptions(config);
+	const namespaces = new Map();
+
+	const flatten = (value, prefix, keys) => {
+		if (value && typeof value === 'object' && !Array.isArray(value)) {
+			Object.keys(value).forEach((key) => flatten(value[key], `${prefix}${key}.`, keys));
+		} else {
+			keys.push(prefix.slice(0, -1));
+		}
+		return keys;
+	};
+
+	resolveInputFiles(config).forEach(({ filePath, inputFile }) => {
+		const { translations } = extract(readSource(filePath), options.referenceLanguage, options);
+
+		namespaces.set(getNamespace(inputFile), {
+			file: path.relative(process.cwd(), filePath),
+			keys: Object.keys(translations).length > 0 ? flatten(translations, '', []) : [],
+		});
+	});
+
+	return namespaces;
+}
+
+/**
+ * Whether `used` selects the written `key`: the key itself, its plural or context
+ * keys (`key_one`, `key_male`), or a key inside it (object returned by t())
+ */
+function matchesKey(key, used) {
+	if (key === used || key.startsWith(`${used}.`)) {
+		return true;
+	}
+	return key.startsWith(`${used}_`) && !key.slice(used.length).includes('.');
+}
+
+/**
+ * Scan the code files of `include` (default: `scan` option) against the source keys
+ * @returns {{ files: number, usages: number, issues: Object[] }}
+ */
+function scanTranslations(config, { include } = {}) {
+	const options = getScanOptions(config);
+	const files = resolveCodeFiles(include || options.include);
+	const namespaces = collectKeys(config);
+	const used = new Map([...namespaces.keys()].map((namespace) => [namespace, new Set()]));
+	const issues = [];
+	let count = 0;
+
+	files.forEach((filePath) => {
+		const file = path.relative(process.cwd(), filePath);
+
+		findUsages(fs.readFileSync(filePath, 'utf-8')).forEach((usage) => {
+			const namespace = usage.namespace || options.defaultNamespace;
+			const { key, prefix, line, column } = usage;
+			const entry = namespaces.get(namespace);
+			const location = { line, column };
+
+			count += 1;
+
+			if (key === undefined) {
+				const id = `${namespace}:${prefix}`;
+
+				if (entry && prefix) {
+					entry.keys.filter((candidate) => candidate.startsWith(prefix)).forEach((candidate) => {
+						used.get(namespace).add(candidate);
+					});
+				}
+				issues.push({
+					type: 'dynamic-key',
+					severity: 'warning',
+					file,
+					key: prefix ? id : '',
+					message: prefix
+						? `Dynamic key, keys starting with "${id}" count as used`
+						: 'Dynamic key could not be resolved',
+					...location,
+				});
+				return;
+			}
+
+			const id = `${namespace}:${key}`;
+			const matches = entry ? entry.keys.filter((candidate) => matchesKey(candidate, key)) : [];
+
+			if (matches.length === 0) {
+				issues.push({
+					type: 'missing-key',
+					severity: 'error',
+					file,
+					key: id,
+					message: entry ? `Key "${id}" is not defined` : `Namespace "${namespace}" does not exist (key "${id}")`,
+					...location,
+				});
+			}
+			matches.forEach((candidate) => used.get(namespace).add(candidate));
+		});
+	});
+
+	namespaces.forEach(({ file, keys }, namespace) => {
+		keys
+			.filter((key) => !used.get(namespace).has(key))
+			.forEach((key) => {
+				issues.push({
+					type: 'unused-key',
+					severity: 'warning',
+					file,
+					key,
+					message: `Key "${namespace}:${key}" is not used in the scanned files`,
+				});
+			});
+	});
+
+	return { files: files.length, usages: count, issues };
+}
+
+module.exports = {
+	findUsages,
+	scanTranslations,
+};
@@ -0,0 +1,522 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { getFallbackChain } = require('./missing.js');
+const { resolveOptions, validateSourceRoot, extract, extractLeaf } = require('./core.js');
+const { JSONStreamParser } = require('./json-stream.js');
+const { hashFile } = require('./fs-utils.js');
+const { isMetadataKey, isTranslationLeaf } = require('./traverse.js');
+const { getOutputLanguages } = require('./options.js');
+
+/**
+ * Streaming generation of JSON source files too large to parse at once
+ *
+ * The source is read in chunks (see json-stream.js) and every language is written
+ * to its own output file as the leaves are read, so only one leaf is held in memory.
+ * The outputs are those of buildSource in core.js. For that, a first pass over the
+ * source (LayoutScanner) finds the objects that cannot be written as they are read;
+ * they are read whole and built with extract(), like JSON.parse would see them:
+ * - leaves whose first language key comes after a nested object
+ * - objects whose keys JSON.parse reorders: integer-like keys, moved first in
+ *   ascending order, and duplicate keys, the last value kept at the first position
+ */
+
+const READ_CHUNK_SIZE = 64 * 1024;
+const INDENT = '  ';
+
+// Array index, ordered first by JSON.parse
+const INTEGER_KEY = /^(0|[1-9]\d{0,8})$/;
+
+function getPathId(keyPath) {
+	return JSON.stringify(keyPath);
+}
+
+/**
+ * Whether JSON.parse would not keep `keys` in this order
+ */
+function isReordered(keys) {
+	const integers = keys.filter((key) => INTEGER_KEY.test(key)).sort((a, b) => a - b);
+	const order = [...integers, ...keys.filter((key) => !INTEGER_KEY.test(key))];
+
+	return new Set(keys).size !== keys.length || order.some((key, index) => key !== keys[index]);
+}
+
+/**
+ * Parser handler of the first pass: collects the key paths of the objects
+ * to read whole (see above)
+ * Frames: objects outside leaves; `skip` for arrays and everything inside a leaf
+ */
+class LayoutScanner {
+	constructor(languages) {
+		this.languages = languages;
+		this.frames = [];
+		this.whole = new Set();
+		// Stand-in for the root value ({} for an object), checked like a parsed source
+		this.root = undefined;
+	}
+
+	get frame() {
+		return this.frames[this.frames.length - 1];
+	}
+
+	objectStart() {
+		const { frame } = this;
+
+		if (!frame) {
+			this.root = {};
+		}
+
+		if (frame && (frame.skip || frame.leaf)) {
+			this.frames.push({ skip: true });
+		} else {
+			if (frame) {
+				frame.nested = true;
+			}
+			this.frames.push({ keyPath: frame ? [...frame.keyPath, frame.key] : [], keys: [], nested: false, leaf: false });
+		}
+	}
+
+	key(name) {
+		const { frame } = this;
+
+		if (frame.skip || frame.leaf) {
+			return;
+		}
+
+		frame.key = name;
+		frame.keys.push(name);
+
+		// The root is never a leaf (see walkTranslations)
+		if (frame.keyPath.length > 0 && this.languages.includes(name)) {
+			frame.leaf = true;
+			if (frame.nested) {
+				this.whole.add(getPathId(frame.keyPath));
+			}
+		}
+	}
+
+	objectEnd() {
+		const frame = this.frames.pop();
+
+		if (!frame.skip && !frame.leaf && isReordered(frame.keys)) {
+			this.whole.add(getPathId(frame.keyPath));
+		}
+	}
+
+	arrayStart() {
+		if (this.frames.length === 0) {
+			this.root = [];
+		}
+		this.frames.push({ skip: true });
+	}
+
+	arrayEnd() {
+		this.frames.pop();
+	}
+
+	value(value) {
+		if (this.frames.length === 0) {
+			this.root = value;
+		}
+	}
+}
+
+/**
+ * Output file written in the JSON.stringify(value, null, 2) format, key by key
+ * Written to a temporary file that replaces the output only when the content changed
+ */
+class OutputWriter {
+	constructor(outputPath) {
+		this.outputPath = outputPath;
+		this.tempPath = `${outputPath}.${process.pid}.tmp`;
+		this.hash = crypto.createHash('sha1');
+		this.pending = [];
+		// Whether each open object has members yet
+		this.members = [];
+
+		fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+		this.stream = fs.createWriteStream(this.tempPath);
+		this.stream.on('error', (error) => {
+			this.error = error;
+		});
+	}
+
+	member(key) {
+		const depth = this.members.length;
+		const separator = this.members[depth - 1] ? ',' : '';
+
+		this.members[depth - 1] = true;
+		this.pending.push(`${separator}\n${INDENT.repeat(depth)}${JSON.stringify(key)}: `);
+	}
+
+	/**
+	 * Open an object, the root object when `key` is undefined
+	 */
+	open(key) {
+		if (key !== undefined) {
+			this.member(key);
+		}
+		this.pending.push('{');
+		this.members.push(false);
+	}
+
+	close() {
+		const hasMembers = this.members.pop();
+		this.pending.push(hasMembers ? `\n${INDENT.repeat(this.members.length)}}` : '}');
+	}
+
+	value(key, value) {
+		this.member(key);
+		this.pending.push(JSON.stringify(value, null, 2).replace(/\n/g, `\n${INDENT.repeat(this.members.length)}`));
+	}
+
+	async flush() {
+		if (this.error) {
+			throw this.error;
+		}
+		if (this.pending.length === 0) {
+			return;
+		}
+
+		const text = this.pending.join('');
+		this.pending = [];
+		this.hash.update(text);
+
+		if (!this.stream.write(text)) {
+			await once(this.stream, 'drain');
+		}
+	}
+
+	/**
+	 * @returns {Promise<boolean>} Whether the output file changed
+	 */
+	async finish() {
+		await this.flush();
+		this.stream.end();
+		await once(this.stream, 'finish');
+
+		const changed = hashFile(this.outputPath) !== this.hash.digest('hex');
+
+		if (changed) {
+			await fs.promises.rename(this.tempPath, this.outputPath);
+		} else {
+			await fs.promises.unlink(this.tempPath);
+		}
+		return changed;
+	}
+
+	async abort() {
+		this.stream.destroy();
+		await fs.promises.rm(this.tempPath, { force: true });
+	}
+}
+
+/**
+ * Parser handler that walks the source tree and writes every language
+ * Frames: `node` (object outside leaves, a branch once `branch` is set) and
+ * `value` (leaf, constant array or object of `whole` being built, handed to `done` when complete)
+ * `whole` holds the key paths found by LayoutScanner
+ */
+class SourceWalker {
+	constructor(options, outputs, whole = new Set()) {
+		this.options = options;
+		this.outputs = outputs;
+		this.whole = whole;
+		this.fallbacks = outputs.map(({ lang }) => getFallbackChain(options.fallbackLanguage, lang));
+		this.frames = [];
+	}
+
+	get frame() {
+		return this.frames[this.frames.length - 1];
+	}
+
+	objectStart() {
+		const { frame } = this;
+
+		if (!frame) {
+			this.outputs.forEach(({ writer }) => writer.open());
+
+			if (this.whole.has(getPathId([]))) {
+				this.frames.push({ type: 'value', values: [{ value: {}, key: undefined }], done: (root) => this.writeRoot(root) });
+			} else {
+				this.frames.push({ type: 'node', keyPath: [], branch: true, members: [] });
+			}
+		} else if (frame.type === 'value') {
+			this.startValue(frame, {});
+		} else {
+			const keyPath = [...frame.keyPath, frame.key];
+
+			this.openBranch(frame);
+
+			if (this.whole.has(getPathId(keyPath))) {
+				this.frames.push({
+					type: 'value',
+					values: [{ value: {}, key: undefined }],
+					done: (object) => this.writeWhole(object, keyPath),
+				});
+			} else {
+				this.frames.push({ type: 'node', keyPath, branch: false, members: [] });
+			}
+		}
+	}
+
+	key(name) {
+		const { frame } = this;
+
+		if (frame.type === 'value') {
+			frame.values[frame.values.length - 1].key = name;
+		} else if (!frame.branch && this.options.languages.includes(name)) {
+			// First language key: the object is a leaf, read it whole
+			const { keyPath } = frame;
+
+			this.frames[this.frames.length - 1] = {
+				type: 'value',
+				values: [{ value: Object.fromEntries(frame.members), key: name }],
+				done: (leaf) => this.writeLeaf(leaf, keyPath),
+			};
+		} else {
+			frame.key = name;
+		}
+	}
+
+	objectEnd() {
+		this.endValue();
+	}
+
+	arrayStart() {
+		const { frame } = this;
+
+		if (frame.type === 'value') {
+			this.startValue(frame, []);
+		} else {
+			// Constant array
+			this.frames.push({
+				type: 'value',
+				values: [{ value: [], key: undefined }],
+				done: (array) => this.addMember(frame, frame.key, array),
+			});
+		}
+	}
+
+	arrayEnd() {
+		this.endValue();
+	}
+
+	value(value) {
+		const { frame } = this;
+
+		if (frame.type === 'value') {
+			this.addValue(frame, value);
+		} else {
+			this.addMember(frame, frame.key, value);
+		}
+	}
+
+	/**
+	 * Write a node once it is known to be a branch, with the constants read before
+	 */
+	openBranch(frame) {
+		if (!frame.branch) {
+			frame.branch = true;
+			this.outputs.forEach(({ writer }) => writer.open(frame.keyPath[frame.keyPath.length - 1]));
+			frame.members.forEach(([key, value]) => this.writeConstant(key, value));
+			frame.members = [];
+		}
+	}
+
+	/**
+	 * Value of a node that is not an object: a constant of a branch,
+	 * kept until the node turns out to be a branch or a leaf
+	 */
+	addMember(frame, key, value) {
+		if (frame.branch) {
+			this.writeConstant(key, value);
+		} else {
+			frame.members.push([key, value]);
+		}
+	}
+
+	startValue(frame, container) {
+		this.addValue(frame, container);
+		frame.values.push({ value: container, key: undefined });
+	}
+
+	addValue(frame, value) {
+		const parent = frame.values[frame.values.length - 1];
+
+		if (Array.isArray(parent.value)) {
+			parent.value.push(value);
+		} else {
+			parent.value[parent.key] = value;
+		}
+	}
+
+	endValue() {
+		const { frame } = this;
+
+		if (frame.type === 'value') {
+			const { value } = frame.values.pop();
+
+			if (frame.values.length === 0) {
+				this.frames.pop();
+				frame.done(value);
+			}
+		} else {
+			// An object without language keys nor nested objects is a branch of constants, or empty
+			this.openBranch(frame);
+			this.frames.pop();
+			this.outputs.forEach(({ writer }) => writer.close());
+		}
+	}
+
+	writeConstant(key, value) {
+		if (isMetadataKey(key)) {
+			return;
+		}
+
+		this.outputs.forEach((output) => {
+			output.writer.value(key, value);
+			output.keys += 1;
+		});
+	}
+
+	/**
+	 * Write an object read whole: a leaf, or a branch built with extract()
+	 */
+	writeWhole(object, keyPath) {
+		if (isTranslationLeaf(object, this.options.languages)) {
+			this.writeLeaf(object, keyPath);
+			return;
+		}
+
+		const name = keyPath[keyPath.length - 1];
+		const prefix = keyPath.slice(0, -1).map((key) => `${key}.`).join('');
+
+		this.outputs.forEach((output) => {
+			const { translations, keys, missing, mismatches, unsupported } = extract(
+				{ [name]: object },
+				output.lang,
+				this.options
+			);
+
+			output.writer.value(name, translations[name]);
+			output.keys += keys;
+			output.missing.push(...missing.map((key) => `${prefix}${key}`));
+			output.mismatches.push(...mismatches.map((mismatch) => ({ ...mismatch, key: `${prefix}${mismatch.key}` })));
+			output.unsupported.push(...unsupported.map((key) => `${prefix}${key}`));
+		});
+	}
+
+	/**
+	 * Write a root object read whole
+	 */
+	writeRoot(root) {
+		this.outputs.forEach((output) => {
+			const { translations, keys, missing, mismatches, unsupported } = extract(root, output.lang, this.options);
+
+			Object.keys(translations).forEach((key) => output.writer.value(key, translations[key]));
+			output.writer.close();
+			output.keys += keys;
+			output.missing.push(...missing);
+			output.mismatches.push(...mismatches);
+			output.unsupported.push(...unsupported);
+		});
+	}
+
+	writeLeaf(leaf, keyPath) {
+		const key = keyPath.join('.');
+
+		this.outputs.forEach((output, index) => {
+			const { missing, mismatch, entries, missingForms, unsupportedForms } = extractLeaf(
+				leaf,
+				output.lang,
+				this.options,
+				this.fallbacks[index]
+			);
+			const name = keyPath[keyPath.length - 1];
+
+			entries.forEach(([suffix, value]) => output.writer.value(`${name}${suffix}`, value));
+
+			if (missing) {
+				output.missing.push(key);
+			} else {
+				output.keys += 1;
+			}
+			output.missing.push(...missingForms.map((suffix) => `${key}${suffix}`));
+			output.unsupported.push(...unsupportedForms.map((suffix) => `${key}${suffix}`));
+
+			if (mismatch) {
+				output.mismatches.push({ key, ...mismatch });
+			}
+		});
+	}
+}
+
+/**
+ * First pass: key paths of the objects to read whole (see LayoutScanner)
+ * Throws like buildSource when the root is not an object
+ * @returns {Promise<Set<string>>}
+ */
+async function scanLayout(filePath, languages) {
+	const scanner = new LayoutScanner(languages);
+	const parser = new JSONStreamParser(filePath, scanner);
+
+	for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: READ_CHUNK_SIZE })) {
+		parser.write(chunk);
+	}
+	parser.end();
+
+	validateSourceRoot(filePath, scanner.root);
+	return scanner.whole;
+}
+
+/**
+ * Generate every language of a JSON source file by streaming it to `outputDir`
+ * `source` is a { filePath, inputFile } entry from resolveInputFiles
+ * @returns {Promise<{ lang, inputFile, file, changed, keys, missing, mismatches, unsupported }[]>}
+ * Same as buildSource in core.js, with `changed` (whether the output was written) instead of `content`
+ */
+async function streamSource(config, source) {
+	const options = resolveOptions(config);
+	const outputs = getOutputLanguages(options).map((lang) => {
+		const file = `${lang}/${source.inputFile}`;
+
+		return {
+			lang,
+			inputFile: source.inputFile,
+			file,
+			writer: new OutputWriter(path.join(config.outputDir, file)),
+			keys: 0,
+			missing: [],
+			mismatches: [],
+			unsupported: [],
+		};
+	});
+
+	try {
+		const whole = await scanLayout(source.filePath, options.languages);
+		const walker = new SourceWalker(options, outputs, whole);
+		const parser = new JSONStreamParser(source.filePath, walker);
+		const input = fs.createReadStream(source.filePath, { encoding: 'utf8', highWaterMark: READ_CHUNK_SIZE });
+
+		for await (const chunk of input) {
+			parser.write(chunk);
+			await Promise.all(outputs.map(({ writer }) => writer.flush()));
+		}
+		parser.end();
+
+		for (const output of outputs) {
+			output.changed = await output.writer.finish();
+		}
+	} catch (error) {
+		await Promise.all(outputs.map(({ writer }) => writer.abort()));
+		throw error;
+	}
+
+	return outputs.map(({ writer, ...output }) => output);
+}
+
+module.exports = {
+	streamSource,
+};
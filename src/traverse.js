@@ -0,0 +1,96 @@
+/**
+ * Key traversal of combined source objects
+ *
+ * A leaf is an object with at least one configured language key
+ * (`{ vi: '...', en: '...' }`); any other object is a branch of nested keys.
+ * A language value can be any JSON value: string (`''` included), number,
+ * boolean, null, array (i18next `returnObjects`) or object.
+ * Any other value of a branch (`"brand": "Acme"`, `"sizes": ["S", "M"]`) is a
+ * language-neutral constant, written as is for every language.
+ * Keys starting with `_` are metadata for translators (`_note`, `_context`,
+ * `_description`…) and never reach the output, except `_select`, which marks
+ * the context values of a leaf (see plurals.js).
+ */
+
+const META_PREFIX = '_';
+
+function isTranslationLeaf(value, languages) {
+	return Object.keys(value).some((key) => languages.includes(key));
+}
+
+/**
+ * Whether a value of a branch is a language-neutral constant
+ * (functions and undefined, possible in JS sources, are skipped)
+ */
+function isConstant(value) {
+	return value === null || Array.isArray(value) || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Visit every branch, leaf and constant of a source object, depth first
+ * `visitor.branch(path)`, `visitor.constant(value, path)` and `visitor.invalid(value, path)`
+ * (functions and undefined) are optional; `visitor.leaf(value, path)` is required.
+ * `path` is the array of keys from the root.
+ */
+function walkTranslations(obj, languages, visitor, prefix = []) {
+	Object.keys(obj).forEach((key) => {
+		const value = obj[key];
+		const keyPath = [...prefix, key];
+
+		if (isConstant(value)) {
+			if (visitor.constant && !isMetadataKey(key)) {
+				visitor.constant(value, keyPath);
+			}
+			return;
+		}
+
+		if (!value || typeof value !== 'object') {
+			if (visitor.invalid) {
+				visitor.invalid(value, keyPath);
+			}
+			return;
+		}
+
+		if (isTranslationLeaf(value, languages)) {
+			visitor.leaf(value, keyPath);
+		} else {
+			if (visitor.branch) {
+				visitor.branch(keyPath);
+			}
+			walkTranslations(value, languages, visitor, keyPath);
+		}
+	});
+}
+
+/**
+ * Assign `value` at `keyPath`, creating intermediate objects
+ */
+function setIn(target, keyPath, value) {
+	const parent = keyPath
+		.slice(0, -1)
+		.reduce((node, key) => (node[key] = node[key] || {}), target);
+
+	parent[keyPath[keyPath.length - 1]] = value;
+}
+
+/**
+ * Metadata of a leaf: `{ _note: 'Button label' }` → `{ note: 'Button label' }`
+ */
+function getMetadata(leaf) {
+	return Object.keys(leaf)
+		.filter((key) => key.startsWith(META_PREFIX) && typeof leaf[key] === 'string')
+		.reduce((metadata, key) => ({ ...metadata, [key.slice(META_PREFIX.length)]: leaf[key] }), {});
+}
+
+function isMetadataKey(key) {
+	return key.startsWith(META_PREFIX);
+}
+
+module.exports = {
+	isTranslationLeaf,
+	isConstant,
+	walkTranslations,
+	setIn,
+	getMetadata,
+	isMetadataKey,
+};
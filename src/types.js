@@ -0,0 +1,224 @@
+const path = require('path');
+const { extractParams } = require('./placeholders.js');
+const { writeFileIfChanged } = require('./fs-utils.js');
+const { resolveInputFiles, getInputRoots, getNamespace } = require('./inputs.js');
+const { readSource } = require('./readers.js');
+const { walkTranslations, setIn } = require('./traverse.js');
+const { expandTranslation } = require('./plurals.js');
+const { resolveOptions } = require('./options.js');
+
+/**
+ * TypeScript declaration generation for `emitTypes` / `i18n-gen types`
+ *
+ * Emits one `.d.ts` that augments i18next's `CustomTypeOptions['resources']`
+ * with every namespace and key found in the source files, plus an `I18nParams`
+ * interface listing the interpolation variables of each key.
+ */
+
+const HEADER = '// Generated by i18n-generator. Do not edit manually.\n';
+
+function formatKey(key) {
+	return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * TypeScript type of a translation or constant value
+ * @example getValueType(['a', 'b']) // 'string[]'
+ */
+function getValueType(value) {
+	if (Array.isArray(value)) {
+		const types = [...new Set(value.map(getValueType))];
+
+		if (types.length === 0) {
+			return 'unknown[]';
+		}
+		return types.length === 1 && /^\w+$/.test(types[0]) ? `${types[0]}[]` : `Array<${types.join(' | ')}>`;
+	}
+
+	if (value === null) {
+		return 'null';
+	}
+
+	if (typeof value === 'object') {
+		const fields = Object.keys(value).map((key) => `${formatKey(key)}: ${getValueType(value[key])}`);
+		return fields.length > 0 ? `{ ${fields.join('; ')} }` : '{}';
+	}
+
+	return typeof value;
+}
+
+/**
+ * Strings of a value, arrays and objects included
+ */
+function collectStrings(value) {
+	if (typeof value === 'string') {
+		return [value];
+	}
+	if (value && typeof value === 'object') {
+		return Object.values(value).flatMap(collectStrings);
+	}
+	return [];
+}
+
+/**
+ * Variables of the i18next plural and context keys, which are options of t()
+ * rather than interpolations (the ICU messages name their own variables)
+ */
+function getExpansionParams(suffixes, select) {
+	const params = {};
+
+	if (select) {
+		params.context = 'string';
+	}
+	if (suffixes.some((suffix) => /_(zero|one|two|few|many|other)$/.test(suffix))) {
+		params.count = 'number';
+	}
+	return params;
+}
+
+/**
+ * Lines of a resource type tree: `{ key: 'type' | subtree }`
+ */
+function renderType(tree, depth) {
+	const pad = '\t'.repeat(depth);
+
+	return Object.keys(tree).flatMap((key) =>
+		typeof tree[key] === 'string'
+			? [`${pad}${formatKey(key)}: ${tree[key]};`]
+			: [`${pad}${formatKey(key)}: {`, ...renderType(tree[key], depth + 1), `${pad}};`]
+	);
+}
+
+/**
+ * Build the resource type and collect interpolation params for one namespace
+ * Plural and context values are typed as the keys they are written to (see plurals.js)
+ * @returns {{ lines: string[], params: Object<string, Object<string, string>> }}
+ */
+function buildNamespaceType(content, namespace, languages, indent, outputFormat) {
+	const tree = {};
+	const params = {};
+
+	walkTranslations(content, languages, {
+		branch(keyPath) {
+			setIn(tree, keyPath, {});
+		},
+		constant(value, keyPath) {
+			setIn(tree, keyPath, getValueType(value));
+		},
+		leaf(value, keyPath) {
+			const name = keyPath[keyPath.length - 1];
+			const setType = (suffix, type) => setIn(tree, [...keyPath.slice(0, -1), `${name}${suffix}`], type);
+
+			// Output keys of every language, with the union of their value types
+			const entries = languages
+				.filter((lang) => value[lang] !== undefined)
+				.flatMap((lang) => expandTranslation(value[lang], lang, { outputFormat, select: value._select }).entries);
+			const types = entries.reduce((byKey, [suffix, entry]) => {
+				byKey[suffix] = byKey[suffix] || new Set();
+				byKey[suffix].add(getValueType(entry));
+				return byKey;
+			}, {});
+			const suffixes = Object.keys(types);
+
+			if (suffixes.length === 0) {
+				setType('', 'string');
+			}
+			suffixes.forEach((suffix) => setType(suffix, [...types[suffix]].join(' | ')));
+
+			// Union of the variables used by any language
+			const keyParams = outputFormat === 'i18next' ? getExpansionParams(suffixes, value._select) : {};
+			entries.flatMap(([, entry]) => collectStrings(entry)).forEach((text) => {
+				const langParams = extractParams(text);
+				Object.keys(langParams).forEach((param) => {
+					if (keyParams[param] !== 'number') {
+						keyParams[param] = langParams[param];
+					}
+				});
+			});
+
+			if (Object.keys(keyParams).length > 0) {
+				params[`${namespace}:${keyPath.join('.')}`] = keyParams;
+			}
+		},
+	});
+
+	return { lines: renderType(tree, indent), params };
+}
+
+/**
+ * Generate the declaration file content for every source file
+ */
+function generateTypes(config) {
+	const { languages, outputFormat } = resolveOptions(config);
+
+	const resourceLines = [];
+	const params = {};
+
+	resolveInputFiles(config).forEach(({ filePath, inputFile }) => {
+		const namespace = getNamespace(inputFile);
+		const content = readSource(filePath);
+		const result = buildNamespaceType(content, namespace, languages, 2, outputFormat);
+
+		resourceLines.push(`\t${formatKey(namespace)}: {`, ...result.lines, '\t};');
+		Object.assign(params, result.params);
+	});
+
+	const paramLines = Object.keys(params).map((key) => {
+		const fields = Object.keys(params[key])
+			.map((name) => `${formatKey(name)}: ${params[key][name]}`)
+			.join('; ');
+		return `\t${JSON.stringify(key)}: { ${fields} };`;
+	});
+
+	return [
+		HEADER,
+		"import 'i18next';",
+		'',
+		'export interface I18nResources {',
+		...resourceLines,
+		'}',
+		'',
+		'/**',
+		' * Interpolation variables per key ("namespace:key.path")',
+		' */',
+		'export interface I18nParams {',
+		...paramLines,
+		'}',
+		'',
+		"declare module 'i18next' {",
+		'\tinterface CustomTypeOptions {',
+		'\t\tresources: I18nResources;',
+		'\t}',
+		'}',
+		'',
+	].join('\n');
+}
+
+/**
+ * Resolve the declaration file path from `emitTypes`
+ * (`true` writes `i18next.d.ts` in the first input directory)
+ */
+function getTypesPath(config) {
+	const { emitTypes } = config;
+
+	return typeof emitTypes === 'string'
+		? emitTypes
+		: path.join(getInputRoots(config)[0], 'i18next.d.ts');
+}
+
+/**
+ * Write the declaration file, skipping the write when the content is unchanged
+ * @returns {{ typesPath: string, changed: boolean }}
+ */
+function writeTypes(config) {
+	const typesPath = getTypesPath(config);
+	const changed = writeFileIfChanged(typesPath, generateTypes(config));
+
+	return { typesPath, changed };
+}
+
+module.exports = {
+	generateTypes,
+	getTypesPath,
+	writeTypes,
+};
@@ -0,0 +1,162 @@
+const path = require('path');
+const i18nGenerator = require('./i18n-generator.js');
+const { printMissingReport } = require('./missing.js');
+const { printPlaceholderReport } = require('./placeholders.js');
+const { printStaleReport, getLockPath } = require('./lock.js');
+const { getCachePath } = require('./cache.js');
+const { getManifestPath } = require('./clean.js');
+const { createResult, emitModules } = require('./core.js');
+const { findInputFile, getInputRoots, getNamespace } = require('./inputs.js');
+const { isSourceFile } = require('./readers.js');
+const { getOutputLanguages } = require('./options.js');
+
+/**
+ * Name of the custom HMR event sent to the client after a namespace is regenerated.
+ * Payload: { namespace: string, languages: string[] }
+ */
+const HMR_EVENT = 'i18n-generator:update';
+
+/**
+ * Options with every path resolved against the Vite project root `root`,
+ * including the default lockfile, cache and clean manifest paths
+ * (a default `emitTypes` path follows the resolved input directory)
+ */
+function resolvePaths(options, root) {
+	const resolve = (file) => path.resolve(root, file);
+	const { emitTypes, emitLoader, lockFile, cache, clean, missingReport } = options;
+	// `emitLoader` is a path or { path, mode }
+	const resolveLoader = (loader) => {
+		if (typeof loader === 'string') {
+			return resolve(loader);
+		}
+		return loader && loader.path ? { ...loader, path: resolve(loader.path) } : loader;
+	};
+
+	return {
+		...options,
+		inputDir: options.inputDir && resolve(options.inputDir),
+		input: options.input && [].concat(options.input).map(resolve),
+		outputDir: resolve(options.outputDir),
+		emitTypes: typeof emitTypes === 'string' ? resolve(emitTypes) : emitTypes,
+		emitLoader: resolveLoader(emitLoader),
+		lockFile: lockFile && resolve(getLockPath(options)),
+		cache: cache !== false && resolve(getCachePath(options)),
+		clean: clean && resolve(getManifestPath(options)),
+		missingReport: missingReport && resolve(missingReport),
+	};
+}
+
+/**
+ * Vite plugin that generates language files on build start and keeps them
+ * in sync with inputDir while the dev server is running
+ *
+ * @example
+ * // vite.config.js
+ * import { i18nGeneratorVite } from '@mg/i18n-generator';
+ *
+ * export default defineConfig({
+ *   plugins: [
+ *     i18nGeneratorVite({
+ *       languages: ['vi', 'en'],
+ *       inputDir: './src/translations',
+ *       outputDir: './public/locales',
+ *     }),
+ *   ],
+ * });
+ */
+function i18nGeneratorVite(options) {
+	let generator;
+	let outputDir;
+
+	const isInputFile = (file) => {
+		try {
+			return isSourceFile(file) && Boolean(findInputFile(generator, file));
+		} catch (error) {
+			// Namespace collisions are reported by buildStart / onChange
+			return false;
+		}
+	};
+
+	return {
+		name: 'i18n-generator',
+
+		configResolved(config) {
+			// Relative paths are resolved against the Vite project root
+			const resolved = resolvePaths(options, config.root);
+
+			outputDir = resolved.outputDir;
+			generator = new i18nGenerator(resolved);
+		},
+
+		buildStart() {
+			try {
+				generator.generateAll();
+			} catch (error) {
+				this.error(`i18nGenerator Error: ${error.message}`);
+			}
+		},
+
+		configureServer(server) {
+			server.watcher.add(getInputRoots(generator));
+
+			const onChange = (file) => {
+				if (!isSourceFile(file) || file.startsWith(outputDir + path.sep)) {
+					return;
+				}
+
+				let source;
+				const report = {};
+				const placeholderReport = {};
+				const result = createResult();
+
+				try {
+					source = findInputFile(generator, file);
+					if (!source) {
+						return;
+					}
+
+					generator.generateFile(source, report, placeholderReport);
+					emitModules(generator, result);
+				} catch (error) {
+					// Keep the dev server alive while a file is mid-edit
+					server.config.logger.error(
+						`[i18n-generator] ${path.relative(server.config.root, file)}: ${error.message}`,
+						{ timestamp: true }
+					);
+					return;
+				}
+
+				server.config.logger.info(`[i18n-generator] regenerated ${source.inputFile}`, {
+					timestamp: true,
+				});
+				printPlaceholderReport(placeholderReport, generator.referenceLanguage);
+				printMissingReport(report);
+				printStaleReport(result.stale, generator.referenceLanguage);
+
+				server.ws.send({
+					type: 'custom',
+					event: HMR_EVENT,
+					data: {
+						namespace: getNamespace(source.inputFile),
+						languages: getOutputLanguages(generator),
+					},
+				});
+			};
+
+			server.watcher.on('add', onChange);
+			server.watcher.on('change', onChange);
+		},
+
+		handleHotUpdate({ file }) {
+			// Source and generated files are handled through HMR_EVENT,
+			// so don't let Vite fall back to a full page reload
+			if (isInputFile(file) || file.startsWith(outputDir + path.sep)) {
+				return [];
+			}
+		},
+	};
+}
+
+i18nGeneratorVite.HMR_EVENT = HMR_EVENT;
+
+module.exports = i18nGeneratorVite;
@@ -0,0 +1,204 @@
+const { Worker } = require('worker_threads');
+
+/**
+ * Pool of long-lived worker threads fed from a queue
+ *
+ * Workers are started on demand up to `size` and reused for every task; idle
+ * workers do not keep the process alive. A task settles with the worker reply:
+ * `{ id, result }` resolves, `{ id, error }` rejects with the worker error.
+ * A worker that crashes rejects its task and is replaced by the next one.
+ */
+
+function createAbortError(signal) {
+	if (signal && signal.reason instanceof Error) {
+		return signal.reason;
+	}
+
+	const error = new Error('Generation was cancelled');
+	error.name = 'AbortError';
+	return error;
+}
+
+/**
+ * Error thrown in a worker, with the fields it carried (e.g. SourceParseError line/column)
+ */
+function toError({ message, stack, ...fields }) {
+	const error = new Error(message);
+
+	Object.assign(error, fields);
+	if (stack) {
+		error.stack = stack;
+	}
+	return error;
+}
+
+class WorkerPool {
+	constructor(script, size) {
+		this.script = script;
+		this.size = size;
+		// Idle and busy workers
+		this.workers = [];
+		// Tasks waiting for a worker: { data, resolve, reject, signal, onAbort }
+		this.queue = [];
+		this.nextId = 0;
+	}
+
+	get activeWorkers() {
+		return this.workers.filter((entry) => entry.task).length;
+	}
+
+	/**
+	 * Run a task on the next free worker
+	 * `signal` (AbortSignal) removes a queued task, or terminates the worker running it
+	 * @returns {Promise<*>} The worker result
+	 */
+	run(data, { signal } = {}) {
+		if (signal && signal.aborted) {
+			return Promise.reject(createAbortError(signal));
+		}
+
+		return new Promise((resolve, reject) => {
+			const task = { id: this.nextId++, data, resolve, reject, signal };
+
+			if (signal) {
+				task.onAbort = () => this.cancel(task);
+				signal.addEventListener('abort', task.onAbort, { once: true });
+			}
+
+			this.queue.push(task);
+			this.dispatch();
+		});
+	}
+
+	dispatch() {
+		while (this.queue.length > 0) {
+			const entry = this.workers.find((candidate) => !candidate.task) || this.spawn();
+
+			if (!entry) {
+				return;
+			}
+
+			const task = this.queue.shift();
+			entry.task = task;
+			entry.worker.ref();
+			entry.worker.postMessage({ id: task.id, data: task.data });
+		}
+	}
+
+	/**
+	 * Start a worker if the pool is not full
+	 */
+	spawn() {
+		if (this.workers.length >= this.size) {
+			return null;
+		}
+
+		const entry = { worker: new Worker(this.script), task: null };
+
+		entry.worker.on('message', ({ id, result, error }) => {
+			const { task } = entry;
+
+			if (!task || task.id !== id) {
+				return;
+			}
+
+			this.release(entry);
+
+			if (error) {
+				task.reject(toError(error));
+			} else {
+				task.resolve(result);
+			}
+		});
+
+		// Uncaught exception or unexpected exit: fail the running task and drop the worker
+		const onFailure = (error) => {
+			const { task } = entry;
+
+			this.remove(entry);
+
+			if (task) {
+				this.settle(task);
+				task.reject(error);
+			}
+			this.dispatch();
+		};
+
+		entry.worker.on('error', onFailure);
+		entry.worker.on('exit', (code) => {
+			if (this.workers.includes(entry)) {
+				onFailure(new Error(`Worker stopped with exit code ${code}`));
+			}
+		});
+
+		this.workers.push(entry);
+		return entry;
+	}
+
+	/**
+	 * Mark a worker idle after its task settled and hand it the next task
+	 */
+	release(entry) {
+		this.settle(entry.task);
+		entry.task = null;
+		entry.worker.unref();
+		this.dispatch();
+	}
+
+	settle(task) {
+		if (task.signal) {
+			task.signal.removeEventListener('abort', task.onAbort);
+		}
+	}
+
+	remove(entry) {
+		this.workers = this.workers.filter((candidate) => candidate !== entry);
+	}
+
+	cancel(task) {
+		const error = createAbortError(task.signal);
+
+		if (this.queue.includes(task)) {
+			this.queue = this.queue.filter((queued) => queued !== task);
+			task.reject(error);
+			return;
+		}
+
+		const entry = this.workers.find((candidate) => candidate.task === task);
+
+		if (entry) {
+			// A synchronous task cannot be interrupted: replace the worker
+			this.remove(entry);
+			entry.worker.terminate();
+			task.reject(error);
+			this.dispatch();
+		}
+	}
+
+	/**
+	 * Terminate every worker and reject the queued tasks
+	 */
+	async destroy() {
+		const error = new Error('Worker pool was destroyed');
+		const workers = this.workers;
+
+		this.queue.forEach((task) => {
+			this.settle(task);
+			task.reject(error);
+		});
+		this.queue = [];
+		this.workers = [];
+
+		workers.forEach(({ task }) => {
+			if (task) {
+				this.settle(task);
+				task.reject(error);
+			}
+		});
+
+		await Promise.all(workers.map(({ worker }) => worker.terminate()));
+	}
+}
+
+module.exports = WorkerPool;
+module.exports.createAbortError = createAbortError;
@@ -1,99 +1,20 @@
-const { parentPort, workerData } = require('worker_threads');
-const fs = require('fs');
-const path = require('path');
+const { parentPort } = require('worker_threads');
+const { buildSource } = require('./core.js');
 
 /**
  * Worker thread for processing individual files
  * Runs in separate thread to avoid blocking main event loop
+ * Long-lived: handles one task at a time from the pool (see worker-pool.js)
+ * Task data: { source: { filePath, inputFile }, config } (see buildSource in core.js)
  */
 
-function extractTranslationsIterative(obj, lang, languageSet) {
-	const result = {};
-	const stack = [{ source: obj, target: result }];
-
-	while (stack.length > 0) {
-		const { source, target } = stack.pop();
-
-		for (const key of Object.keys(source)) {
-			const value = source[key];
-
-			if (value === null || typeof value !== 'object' || Array.isArray(value)) {
-				continue;
-			}
-
-			if (value[lang]) {
-				target[key] = value[lang];
-			} else {
-				const hasLangKeys = Object.keys(value).some(k => languageSet.has(k));
-
-				if (!hasLangKeys) {
-					target[key] = {};
-					stack.push({
-						source: value,
-						target: target[key]
-					});
-				}
-			}
-		}
-	}
-
-	return result;
-}
-
-async function extractTranslationsChunked(obj, lang, languageSet, chunkSize) {
-	const result = {};
-	const entries = Object.entries(obj);
-
-	for (let i = 0; i < entries.length; i += chunkSize) {
-		const chunk = entries.slice(i, i + chunkSize);
-		const chunkObj = Object.fromEntries(chunk);
-
-		const chunkResult = extractTranslationsIterative(chunkObj, lang, languageSet);
-		Object.assign(result, chunkResult);
-
-		// Yield to event loop
-		if (i + chunkSize < entries.length) {
-			await new Promise(resolve => setImmediate(resolve));
-		}
-	}
-
-	return result;
-}
-
-// Main worker logic
-(async () => {
+parentPort.on('message', ({ id, data }) => {
 	try {
-		const { filePath, inputFile, outputDir, languages, chunkSize } = workerData;
-		const languageSet = new Set(languages);
-
-		// Read file
-		const fileContent = fs.readFileSync(filePath, 'utf-8');
-		const content = JSON.parse(fileContent);
-
-		const results = [];
-
-		// Process each language
-		for (const lang of languages) {
-			const outputContent = await extractTranslationsChunked(
-				content,
-				lang,
-				languageSet,
-				chunkSize
-			);
-
-			const outputPath = path.join(outputDir, lang, inputFile);
-
-			results.push({
-				lang,
-				outputPath,
-				outputContent
-			});
-		}
+		const { source, config } = data;
 
-		// Send results back to main thread
-		parentPort.postMessage(results);
+		parentPort.postMessage({ id, result: buildSource(config, source) });
 	} catch (error) {
-		parentPort.postMessage({ error: error.message, stack: error.stack });
-		process.exit(1);
+		// Own fields carry details such as the SourceParseError line and column
+		parentPort.postMessage({ id, error: { ...error, message: error.message, stack: error.stack } });
 	}
-})();
+});
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const { parseSource, loadOptional } = require('./readers.js');
+const { writeFileIfChanged } = require('./fs-utils.js');
+
+/**
+ * Write values back into source files
+ *
+ * - .json           edited in place: only the values set are rewritten, new keys are
+ *                   appended to their object in the style of its other members
+ * - .yaml / .yml    edited through the `yaml` Document API, which keeps comments
+ *
+ * Other formats cannot be rewritten without losing comments or code.
+ */
+
+const WRITABLE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+function isWritableSource(filePath) {
+	return WRITABLE_EXTENSIONS.includes(path.extname(filePath));
+}
+
+/**
+ * Indentation of the first indented line (tab by default)
+ */
+function detectIndent(fileContent) {
+	const match = /^([ \t]+)\S/m.exec(fileContent);
+	return match ? match[1] : '\t';
+}
+
+/**
+ * Spans of a JSON text (already validated): { start, end, members } where `members`
+ * (objects only) lists [{ key, keyStart, value }] in file order
+ */
+function scanJSON(text) {
+	let index = 0;
+
+	const skipSpace = () => {
+		while (index < text.length && /\s/.test(text[index])) {
+			index++;
+		}
+	};
+
+	const readString = () => {
+		const start = index;
+		index++;
+		while (text[index] !== '"') {
+			index += text[index] === '\\' ? 2 : 1;
+		}
+		index++;
+		return JSON.parse(text.slice(start, index));
+	};
+
+	const readValue = () => {
+		skipSpace();
+		const start = index;
+
+		if (text[index] === '{' || text[index] === '[') {
+			const isObject = text[index] === '{';
+			const close = isObject ? '}' : ']';
+			const members = [];
+			index++;
+			skipSpace();
+
+			while (text[index] !== close) {
+				if (isObject) {
+					const keyStart = index;
+					const key = readString();
+					skipSpace();
+					index++; // ':'
+					members.push({ key, keyStart, value: readValue() });
+				} else {
+					readValue();
+				}
+				skipSpace();
+				if (text[index] === ',') {
+					index++;
+					skipSpace();
+				}
+			}
+			index++;
+			return isObject ? { start, end: index, members } : { start, end: index };
+		}
+
+		if (text[index] === '"') {
+			readString();
+		} else {
+			while (index < text.length && !/[\s,}\]]/.test(text[index])) {
+				index++;
+			}
+		}
+		return { start, end: index };
+	};
+
+	return readValue();
+}
+
+function getLineIndent(text, position) {
+	const lineStart = text.lastIndexOf('\n', position - 1) + 1;
+	return /^[ \t]*/.exec(text.slice(lineStart))[0];
+}
+
+/**
+ * JSON text of a value: multi-line at `indent`, or on one line (`{ "one": "…" }`)
+ */
+function formatValue(value, { indent, unit, eol, multiline }) {
+	if (!value || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) {
+		return JSON.stringify(value);
+	}
+
+	if (multiline) {
+		return JSON.stringify(value, null, unit).replace(/\n/g, `${eol}${indent}`);
+	}
+
+	const members = Object.keys(value).map((key) => `${JSON.stringify(key)}: ${formatValue(value[key], { multiline })}`);
+	return `{ ${members.join(', ')} }`;
+}
+
+/**
+ * Set one value in a JSON text, leaving the rest of the text as it is
+ * Missing objects on the way are created, like setIn in traverse.js; new objects
+ * are laid out like the other object values next to them
+ */
+function setInJSON(text, keyPath, value, { unit, eol }) {
+	const replace = (span, replacement) => `${text.slice(0, span.start)}${replacement}${text.slice(span.end)}`;
+	const isMultiline = (span) => text.slice(span.start, span.end).includes('\n');
+	// Layout of the object values of `node`: the first non-empty one, else `node` itself
+	const getValueLayout = (node, multiline) => {
+		const sibling = node.members.find((member) => member.value.members && member.value.members.length > 0);
+		return sibling ? isMultiline(sibling.value) : multiline;
+	};
+
+	let node = scanJSON(text);
+	let multiline = node.members.length === 0 || isMultiline(node);
+
+	for (let depth = 0; depth < keyPath.length; depth++) {
+		// JSON.parse keeps the last of duplicate keys
+		const member = node.members.filter(({ key }) => key === keyPath[depth]).pop();
+		const rest = keyPath.slice(depth + 1).reduceRight((nested, key) => ({ [key]: nested }), value);
+		const format = (indent) => formatValue(rest, { indent, unit, eol, multiline: getValueLayout(node, multiline) });
+
+		if (!member) {
+			const entry = (indent) => `${JSON.stringify(keyPath[depth])}: ${format(indent)}`;
+
+			if (node.members.length === 0) {
+				const indent = getLineIndent(text, node.start);
+				return replace(
+					node,
+					multiline ? `{${eol}${indent}${unit}${entry(indent + unit)}${eol}${indent}}` : `{ ${entry()} }`
+				);
+			}
+
+			const last = node.members[node.members.length - 1];
+			const indent = getLineIndent(text, last.keyStart);
+			const insertion = multiline ? `,${eol}${indent}${entry(indent)}` : `, ${entry()}`;
+			return replace({ start: last.value.end, end: last.value.end }, insertion);
+		}
+
+		if (depth === keyPath.length - 1 || !member.value.members) {
+			return replace(member.value, format(getLineIndent(text, member.keyStart)));
+		}
+
+		// An empty object takes the layout of the object values next to it
+		multiline = member.value.members.length > 0 ? isMultiline(member.value) : getValueLayout(node, multiline);
+		node = member.value;
+	}
+
+	return text;
+}
+
+function updateJSON(filePath, fileContent, updates) {
+	// Validates the file and reports parse errors with line/column
+	parseSource(filePath, fileContent);
+
+	const format = {
+		unit: detectIndent(fileContent),
+		eol: fileContent.includes('\r\n') ? '\r\n' : '\n',
+	};
+
+	return updates.reduce((text, { keyPath, value }) => setInJSON(text, keyPath, value, format), fileContent);
+}
+
+function updateYAML(filePath, fileContent, updates) {
+	const YAML = loadOptional('yaml', path.extname(filePath));
+	// Validates the file and reports parse errors with line/column
+	parseSource(filePath, fileContent);
+
+	const document = YAML.parseDocument(fileContent);
+	// Objects become YAML nodes, so later updates can set keys inside them
+	updates.forEach(({ keyPath, value }) =>
+		document.setIn(keyPath, value && typeof value === 'object' ? document.createNode(value) : value)
+	);
+
+	return document.toString();
+}
+
+/**
+ * Apply `[{ keyPath, value }]` to a source file
+ * @returns {boolean} Whether the file was written
+ */
+function updateSource(filePath, updates) {
+	if (!isWritableSource(filePath)) {
+		throw new Error(
+			`Cannot write to ${filePath}: only ${WRITABLE_EXTENSIONS.join(', ')} sources can be updated`
+		);
+	}
+
+	const fileContent = fs.readFileSync(filePath, 'utf-8');
+	const output = path.extname(filePath) === '.json'
+		? updateJSON(filePath, fileContent, updates)
+		: updateYAML(filePath, fileContent, updates);
+
+	return writeFileIfChanged(filePath, output);
+}
+
+module.exports = {
+	isWritableSource,
+	updateSource,
+};